@@ -0,0 +1,272 @@
+// Import Node.js core modules
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Configuration definitions
+ * Every setting the application reads is declared here exactly once.
+ * A value is resolved in this order: environment variable, then the
+ * per-environment config file (config/<NODE_ENV>.json), then the default.
+ *
+ * - path:     dotted key under which the value is exposed (e.g. 'db.uri')
+ * - env:      environment variable that overrides the value
+ * - type:     'string' | 'number' | 'boolean' | 'port'
+ * - values:   allowed values for a string setting (optional); may also be a
+ *             function receiving the settings resolved so far
+ * - required: fail at startup if no value could be resolved; may also be a
+ *             function receiving the settings resolved so far (settings that
+ *             were invalid are missing from it)
+ * - default:  value used when neither env nor file provides one
+ */
+const definitions = [
+  // HTTP port the Express server listens on
+  { path: 'port', env: 'PORT', type: 'port', default: 8080 },
+  // MongoDB connection string
+  { path: 'db.uri', env: 'MONGODB_URI', type: 'string', required: true },
+  // Secret used to sign and verify JSON Web Tokens
+  { path: 'jwt.secret', env: 'JWT_SECRET', type: 'string', required: true },
+  // Lifetime of access tokens (any format accepted by jsonwebtoken)
+  { path: 'jwt.expiresIn', env: 'JWT_EXPIRES_IN', type: 'string', default: '15m' },
+  // Lifetime of refresh tokens in days, renewed on every rotation
+  { path: 'jwt.refreshTokenTtlDays', env: 'JWT_REFRESH_TOKEN_TTL_DAYS', type: 'number', default: 30 },
+  // Lifetime of password reset tokens in minutes
+  { path: 'auth.passwordResetTtlMinutes', env: 'PASSWORD_RESET_TTL_MINUTES', type: 'number', default: 60 },
+  // Refuse login and post creation until the email address is verified
+  { path: 'auth.requireEmailVerification', env: 'REQUIRE_EMAIL_VERIFICATION', type: 'boolean', default: true },
+  // Lifetime of email verification tokens in hours
+  { path: 'auth.emailVerificationTtlHours', env: 'EMAIL_VERIFICATION_TTL_HOURS', type: 'number', default: 48 },
+  // Failed passwords in a row after which an account is locked
+  { path: 'auth.maxFailedLogins', env: 'MAX_FAILED_LOGINS', type: 'number', default: 5 },
+  // Length of the first lockout in minutes; every further lockout doubles it
+  { path: 'auth.lockoutMinutes', env: 'LOGIN_LOCKOUT_MINUTES', type: 'number', default: 1 },
+  // Enforce the per-operation request budgets (see rate-limit/index.js)
+  { path: 'rateLimit.enabled', env: 'RATE_LIMIT_ENABLED', type: 'boolean', default: true },
+  // Where rate limit counters are kept
+  { path: 'rateLimit.store', env: 'RATE_LIMIT_STORE', type: 'string', values: ['memory'], default: 'memory' },
+  // Largest accepted image upload in bytes
+  { path: 'uploads.maxFileSize', env: 'MAX_UPLOAD_BYTES', type: 'number', default: 5 * 1024 * 1024 },
+  // Largest accepted image dimensions in pixels
+  { path: 'uploads.maxImageWidth', env: 'MAX_IMAGE_WIDTH', type: 'number', default: 6000 },
+  { path: 'uploads.maxImageHeight', env: 'MAX_IMAGE_HEIGHT', type: 'number', default: 6000 },
+  // Hours an uploaded image may stay unused by any post before it is deleted
+  { path: 'uploads.orphanGraceHours', env: 'ORPHANED_IMAGE_GRACE_HOURS', type: 'number', default: 24 },
+  // Where uploaded images are stored: 'local' writes them to images/ on this
+  // server, 's3' to an S3-compatible bucket (AWS S3, MinIO, ...)
+  { path: 'storage.driver', env: 'STORAGE_DRIVER', type: 'string', values: ['local', 's3'], default: 'local' },
+  // S3 settings, the bucket is required when the s3 driver is selected
+  { path: 'storage.s3.bucket', env: 'S3_BUCKET', type: 'string', required: config => getIn(config, 'storage.driver') === 's3' },
+  { path: 'storage.s3.region', env: 'S3_REGION', type: 'string', default: 'us-east-1' },
+  // Endpoint of an S3-compatible service, e.g. http://localhost:9000 for MinIO
+  { path: 'storage.s3.endpoint', env: 'S3_ENDPOINT', type: 'string' },
+  // Address buckets as <endpoint>/<bucket> (needed by most S3-compatible services)
+  { path: 'storage.s3.forcePathStyle', env: 'S3_FORCE_PATH_STYLE', type: 'boolean', default: false },
+  { path: 'storage.s3.accessKeyId', env: 'S3_ACCESS_KEY_ID', type: 'string' },
+  { path: 'storage.s3.secretAccessKey', env: 'S3_SECRET_ACCESS_KEY', type: 'string' },
+  // Base URL clients load images from (defaults to the bucket URL)
+  { path: 'storage.s3.publicUrl', env: 'S3_PUBLIC_URL', type: 'string' },
+  // Days a deleted post stays in the trash before it is purged for good
+  { path: 'posts.trashRetentionDays', env: 'TRASH_RETENTION_DAYS', type: 'number', default: 30 },
+  // Deepest field nesting accepted in a GraphQL operation
+  { path: 'graphql.maxDepth', env: 'GRAPHQL_MAX_DEPTH', type: 'number', default: 10 },
+  // Highest estimated cost accepted for a GraphQL operation (see graphql/limits.js)
+  { path: 'graphql.maxCost', env: 'GRAPHQL_MAX_COST', type: 'number', default: 1000 },
+  // Items assumed for list fields without a page size when estimating the cost
+  { path: 'graphql.defaultListSize', env: 'GRAPHQL_DEFAULT_LIST_SIZE', type: 'number', default: 10 },
+  // Serve the GraphiQL IDE on GET /graphql
+  { path: 'graphql.graphiql', env: 'GRAPHIQL', type: 'boolean', default: true },
+  // Trust X-Forwarded-For for the client IP (set when behind a reverse proxy)
+  { path: 'app.trustProxy', env: 'TRUST_PROXY', type: 'boolean', default: false },
+  // Base URL of the frontend, used to build links in emails
+  { path: 'app.clientUrl', env: 'CLIENT_URL', type: 'string', default: 'http://localhost:3000' },
+  // Mail transport: 'smtp' sends real mail, 'file' writes messages to
+  // mail.fileDir, 'console' prints them to stdout. Mails carry login tokens,
+  // so production only accepts smtp (set in config/production.json)
+  { path: 'mail.transport', env: 'MAIL_TRANSPORT', type: 'string', values: config => (config.env === 'production' ? ['smtp'] : ['smtp', 'file', 'console']), default: 'console' },
+  // Sender address for outgoing mail
+  { path: 'mail.from', env: 'MAIL_FROM', type: 'string', default: 'no-reply@localhost' },
+  // Directory used by the file transport
+  { path: 'mail.fileDir', env: 'MAIL_FILE_DIR', type: 'string', default: 'mail-outbox' },
+  // SMTP server settings, required when the smtp transport is selected
+  { path: 'mail.smtp.host', env: 'SMTP_HOST', type: 'string', required: config => getIn(config, 'mail.transport') === 'smtp' },
+  { path: 'mail.smtp.port', env: 'SMTP_PORT', type: 'port', default: 587 },
+  { path: 'mail.smtp.secure', env: 'SMTP_SECURE', type: 'boolean', default: false },
+  { path: 'mail.smtp.user', env: 'SMTP_USER', type: 'string' },
+  { path: 'mail.smtp.pass', env: 'SMTP_PASS', type: 'string' }
+];
+
+/**
+ * Read a nested value from an object using a dotted path
+ * @param {Object} obj - Source object
+ * @param {string} keyPath - Dotted path, e.g. 'db.uri'
+ * @returns {*} The value or undefined if any segment is missing
+ */
+const getIn = (obj, keyPath) => {
+  return keyPath.split('.').reduce((value, key) => {
+    return value !== undefined && value !== null ? value[key] : undefined;
+  }, obj);
+};
+
+/**
+ * Write a nested value into an object using a dotted path
+ * Intermediate objects are created as needed
+ * @param {Object} obj - Target object
+ * @param {string} keyPath - Dotted path, e.g. 'db.uri'
+ * @param {*} value - Value to store
+ */
+const setIn = (obj, keyPath, value) => {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (!node[key]) {
+      node[key] = {};
+    }
+    return node[key];
+  }, obj);
+  target[last] = value;
+};
+
+/**
+ * Convert a raw value (string from the environment or JSON value from file)
+ * into the type declared by its definition
+ * @param {*} raw - Raw value
+ * @param {string} type - Declared type
+ * @param {Array} values - Allowed values for string settings (optional)
+ * @returns {Object} { value } on success or { error } with a description
+ */
+const coerce = (raw, type, values) => {
+  if (type === 'string') {
+    const value = String(raw);
+    if (value.trim() === '') {
+      return { error: 'must not be empty' };
+    }
+    if (values && !values.includes(value)) {
+      return { error: 'must be one of: ' + values.join(', ') };
+    }
+    return { value: value };
+  }
+  if (type === 'number' || type === 'port') {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (String(raw).trim() === '' || Number.isNaN(value)) {
+      return { error: 'must be a number' };
+    }
+    if (type === 'port' && (!Number.isInteger(value) || value < 1 || value > 65535)) {
+      return { error: 'must be an integer between 1 and 65535' };
+    }
+    return { value: value };
+  }
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') {
+      return { value: raw };
+    }
+    const normalized = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) {
+      return { value: true };
+    }
+    if (['false', '0', 'no'].includes(normalized)) {
+      return { value: false };
+    }
+    return { error: 'must be a boolean (true/false)' };
+  }
+  return { error: 'has unknown type "' + type + '"' };
+};
+
+/**
+ * Load the optional config file for the given environment
+ * @param {string} configDir - Directory containing <env>.json files
+ * @param {string} envName - Environment name (development, test, production)
+ * @returns {Object} { values, error }
+ */
+const readConfigFile = (configDir, envName) => {
+  const filePath = path.join(configDir, envName + '.json');
+  if (!fs.existsSync(filePath)) {
+    return { values: {} };
+  }
+  try {
+    return { values: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (err) {
+    return {
+      values: {},
+      error: 'Could not parse ' + filePath + ': ' + err.message
+    };
+  }
+};
+
+/**
+ * Build the configuration object for the current process
+ * Collects every problem instead of stopping at the first one, so a
+ * misconfigured deployment gets a single complete report at startup.
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @param {string} configDir - Directory with per-environment config files
+ * @returns {Object} Frozen configuration object
+ * @throws {Error} If any required value is missing or a value is invalid
+ */
+const loadConfig = (env = process.env, configDir = __dirname) => {
+  const envName = env.NODE_ENV || 'development';
+  const file = readConfigFile(configDir, envName);
+  const errors = [];
+  if (file.error) {
+    errors.push({ message: file.error });
+  }
+
+  const config = { env: envName };
+  definitions.forEach(def => {
+    let raw = env[def.env];
+    let source = 'environment variable ' + def.env;
+    if (raw === undefined || raw === '') {
+      raw = getIn(file.values, def.path);
+      source = 'config/' + envName + '.json (' + def.path + ')';
+    }
+    if (raw === undefined || raw === null) {
+      const required =
+        typeof def.required === 'function' ? def.required(config) : def.required;
+      if (required) {
+        errors.push({
+          message:
+            def.path + ' is required: set ' + def.env +
+            ' or add it to config/' + envName + '.json'
+        });
+        return;
+      }
+      setIn(config, def.path, def.default);
+      return;
+    }
+    const values =
+      typeof def.values === 'function' ? def.values(config) : def.values;
+    const result = coerce(raw, def.type, values);
+    if (result.error) {
+      errors.push({ message: def.path + ' ' + result.error + ' (from ' + source + ')' });
+      return;
+    }
+    setIn(config, def.path, result.value);
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(
+      'Invalid configuration for environment "' + envName + '":\n' +
+        errors.map(e => '  - ' + e.message).join('\n')
+    );
+    error.data = errors;
+    throw error;
+  }
+
+  return deepFreeze(config);
+};
+
+/**
+ * Recursively freeze an object so configuration can't be mutated at runtime
+ * @param {Object} obj - Object to freeze
+ * @returns {Object} The same object, frozen
+ */
+const deepFreeze = obj => {
+  Object.keys(obj).forEach(key => {
+    if (obj[key] && typeof obj[key] === 'object') {
+      deepFreeze(obj[key]);
+    }
+  });
+  return Object.freeze(obj);
+};
+
+// Resolve configuration once when the module is first required.
+// Any module that needs a setting requires this file instead of hardcoding it.
+module.exports = loadConfig();
@@ -1,68 +1,116 @@
 const { validationResult } = require('express-validator/check');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 
-const User = require('../models/user');
+const authService = require('../services/auth');
+const userService = require('../services/user');
+const { httpStatus } = require('../util/http');
 
 exports.signup = async (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const error = new Error('Validation failed.');
-    error.statusCode = 422;
-    error.data = errors.array();
-    throw error;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation failed.');
+      error.statusCode = 422;
+      error.data = errors.array();
+      throw error;
+    }
+    const user = await authService.createUser({
+      email: req.body.email,
+      name: req.body.name,
+      password: req.body.password
+    });
+    res.status(201).json({ message: 'User created!', userId: user._id });
+  } catch (err) {
+    if (!err.statusCode) {
+      err.statusCode = httpStatus(err);
+    }
+    next(err);
   }
-  const email = req.body.email;
-  const name = req.body.name;
-  const password = req.body.password;
+};
+
+exports.login = async (req, res, next) => {
   try {
-    const hashedPw = await bcrypt.hash(password, 12);
+    const authData = await authService.login(req.body.email, req.body.password);
+    res.status(200).json(authData);
+  } catch (err) {
+    if (!err.statusCode) {
+      err.statusCode = httpStatus(err);
+    }
+    next(err);
+  }
+};
 
-    const user = new User({
-      email: email,
-      password: hashedPw,
-      name: name
+exports.refresh = async (req, res, next) => {
+  try {
+    const authData = await authService.refresh(req.body.refreshToken);
+    res.status(200).json(authData);
+  } catch (err) {
+    if (!err.statusCode) {
+      err.statusCode = httpStatus(err);
+    }
+    next(err);
+  }
+};
+
+exports.logout = async (req, res, next) => {
+  try {
+    await authService.logout({
+      userId: req.isAuth ? req.userId : null,
+      sessionId: req.isAuth ? req.sessionId : null,
+      refreshToken: req.body.refreshToken,
+      allSessions: req.body.allSessions === true
     });
-    const result = await user.save();
-    res.status(201).json({ message: 'User created!', userId: result._id });
+    res.status(200).json({ message: 'Logged out.' });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
 };
 
-exports.login = async (req, res, next) => {
-  const email = req.body.email;
-  const password = req.body.password;
-  let loadedUser;
+exports.verifyEmail = async (req, res, next) => {
   try {
-    const user = await User.findOne({ email: email });
-    if (!user) {
-      const error = new Error('A user with this email could not be found.');
-      error.statusCode = 401;
-      throw error;
+    await authService.verifyEmail(req.body.token);
+    res.status(200).json({ message: 'Email address verified.' });
+  } catch (err) {
+    if (!err.statusCode) {
+      err.statusCode = httpStatus(err);
     }
-    loadedUser = user;
-    const isEqual = await bcrypt.compare(password, user.password);
-    if (!isEqual) {
-      const error = new Error('Wrong password!');
-      error.statusCode = 401;
-      throw error;
+    next(err);
+  }
+};
+
+exports.resendVerification = async (req, res, next) => {
+  try {
+    await authService.resendVerification(req.body.email);
+    res.status(200).json({ message: 'Verification email sent.' });
+  } catch (err) {
+    if (!err.statusCode) {
+      err.statusCode = httpStatus(err);
+    }
+    next(err);
+  }
+};
+
+exports.requestPasswordReset = async (req, res, next) => {
+  try {
+    await authService.requestPasswordReset(req.body.email);
+    res.status(200).json({ message: 'Password reset email sent.' });
+  } catch (err) {
+    if (!err.statusCode) {
+      err.statusCode = httpStatus(err);
     }
-    const token = jwt.sign(
-      {
-        email: loadedUser.email,
-        userId: loadedUser._id.toString()
-      },
-      'somesupersecretsecret',
-      { expiresIn: '1h' }
-    );
-    res.status(200).json({ token: token, userId: loadedUser._id.toString() });
+    next(err);
+  }
+};
+
+exports.resetPassword = async (req, res, next) => {
+  try {
+    await authService.resetPassword(req.body.token, req.body.password);
+    res.status(200).json({ message: 'Password updated.' });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
@@ -70,36 +118,30 @@ exports.login = async (req, res, next) => {
 
 exports.getUserStatus = async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId);
-    if (!user) {
-      const error = new Error('User not found.');
-      error.statusCode = 404;
-      throw error;
-    }
+    const user = await userService.getUser(req.userId);
     res.status(200).json({ status: user.status });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
 };
 
 exports.updateUserStatus = async (req, res, next) => {
-  const newStatus = req.body.status;
   try {
-    const user = await User.findById(req.userId);
-    if (!user) {
-      const error = new Error('User not found.');
-      error.statusCode = 404;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation failed.');
+      error.statusCode = 422;
+      error.data = errors.array();
       throw error;
     }
-    user.status = newStatus;
-    await user.save();
+    await userService.updateStatus(req.userId, req.body.status);
     res.status(200).json({ message: 'User updated.' });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
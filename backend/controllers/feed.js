@@ -1,74 +1,113 @@
-const fs = require('fs');
-const path = require('path');
-
 const { validationResult } = require('express-validator/check');
 
-const io = require('../socket');
-const Post = require('../models/post');
-const User = require('../models/user');
+const postService = require('../services/post');
+const { withSavedImage } = require('../util/image');
+const { httpStatus } = require('../util/http');
+
+/**
+ * Build the acting user passed to services from the request
+ * @param {Object} req - Express request object (contains auth info)
+ * @returns {Object} { userId, role }
+ */
+const actorFrom = req => {
+  return { userId: req.userId, role: req.userRole };
+};
+
+/**
+ * Throw a 422 error if express-validator rules of the route failed
+ * @param {Object} req - Express request object
+ */
+const checkValidation = req => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const error = new Error('Validation failed, entered data is incorrect.');
+    error.statusCode = 422;
+    error.data = errors.array();
+    throw error;
+  }
+};
+
+/**
+ * Read explicit tags from the request body
+ * Multipart forms send tags as a comma-separated string, JSON bodies as an array
+ * @param {Object} req - Express request object
+ * @returns {Array|undefined} Tags, undefined if the field is missing
+ */
+const tagsFrom = req => {
+  const tags = req.body.tags;
+  if (tags === undefined || tags === null) {
+    return undefined;
+  }
+  if (Array.isArray(tags)) {
+    return tags;
+  }
+  return String(tags)
+    .split(',')
+    .filter(tag => tag.trim().length > 0);
+};
+
+/**
+ * Post as sent in REST responses
+ * The creator is reduced to { _id, name }: the populated User document
+ * holds the password hash, the email address and tokens
+ * @param {Object} post - Post document
+ * @returns {Object} Plain post
+ */
+const postJson = post => {
+  const json = post.toJSON();
+  if (post.populated('creator')) {
+    json.creator = { _id: post.creator._id, name: post.creator.name };
+  }
+  return json;
+};
 
 exports.getPosts = async (req, res, next) => {
-  const currentPage = req.query.page || 1;
-  const perPage = 2;
+  const currentPage = +req.query.page || 1;
   try {
-    const totalItems = await Post.find().countDocuments();
-    const posts = await Post.find()
-      .populate('creator')
-      .sort({ createdAt: -1 })
-      .skip((currentPage - 1) * perPage)
-      .limit(perPage);
-
+    const result = await postService.getPosts(currentPage, {
+      scope: req.query.scope === 'following' ? 'following' : 'all',
+      userId: req.userId
+    });
     res.status(200).json({
       message: 'Fetched posts successfully.',
-      posts: posts,
-      totalItems: totalItems
+      posts: (await postService.withCreators(result.posts)).map(postJson),
+      totalItems: result.totalPosts
     });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
 };
 
 exports.createPost = async (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const error = new Error('Validation failed, entered data is incorrect.');
-    error.statusCode = 422;
-    throw error;
-  }
-  if (!req.file) {
-    const error = new Error('No image provided.');
-    error.statusCode = 422;
-    throw error;
-  }
-  const imageUrl = req.file.path;
-  const title = req.body.title;
-  const content = req.body.content;
-  const post = new Post({
-    title: title,
-    content: content,
-    imageUrl: imageUrl,
-    creator: req.userId
-  });
   try {
-    await post.save();
-    const user = await User.findById(req.userId);
-    user.posts.push(post);
-    await user.save();
-    io.getIO().emit('posts', {
-      action: 'create',
-      post: { ...post._doc, creator: { _id: req.userId, name: user.name } }
+    checkValidation(req);
+    if (!req.file) {
+      const error = new Error('No image provided.');
+      error.statusCode = 422;
+      throw error;
+    }
+    // The stored image is removed again if the post can't be created
+    const post = await withSavedImage(req.file.buffer, imageUrl => {
+      return postService.createPost(actorFrom(req), {
+        title: req.body.title,
+        content: req.body.content,
+        imageUrl: imageUrl,
+        tags: tagsFrom(req),
+        status: req.body.status,
+        publishAt: req.body.publishAt
+      });
     });
     res.status(201).json({
       message: 'Post created successfully!',
-      post: post,
-      creator: { _id: user._id, name: user.name }
+      post: postJson(post),
+      creator: { _id: post.creator._id, name: post.creator.name }
     });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
@@ -76,17 +115,12 @@ exports.createPost = async (req, res, next) => {
 
 exports.getPost = async (req, res, next) => {
   const postId = req.params.postId;
-  const post = await Post.findById(postId);
   try {
-    if (!post) {
-      const error = new Error('Could not find post.');
-      error.statusCode = 404;
-      throw error;
-    }
-    res.status(200).json({ message: 'Post fetched.', post: post });
+    const post = await postService.getPost(postId, actorFrom(req));
+    res.status(200).json({ message: 'Post fetched.', post: postJson(post) });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
@@ -94,47 +128,27 @@ exports.getPost = async (req, res, next) => {
 
 exports.updatePost = async (req, res, next) => {
   const postId = req.params.postId;
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const error = new Error('Validation failed, entered data is incorrect.');
-    error.statusCode = 422;
-    throw error;
-  }
-  const title = req.body.title;
-  const content = req.body.content;
-  let imageUrl = req.body.image;
-  if (req.file) {
-    imageUrl = req.file.path;
-  }
-  if (!imageUrl) {
-    const error = new Error('No file picked.');
-    error.statusCode = 422;
-    throw error;
-  }
   try {
-    const post = await Post.findById(postId).populate('creator');
-    if (!post) {
-      const error = new Error('Could not find post.');
-      error.statusCode = 404;
-      throw error;
-    }
-    if (post.creator._id.toString() !== req.userId) {
-      const error = new Error('Not authorized!');
-      error.statusCode = 403;
-      throw error;
-    }
-    if (imageUrl !== post.imageUrl) {
-      clearImage(post.imageUrl);
-    }
-    post.title = title;
-    post.imageUrl = imageUrl;
-    post.content = content;
-    const result = await post.save();
-    io.getIO().emit('posts', { action: 'update', post: result });
-    res.status(200).json({ message: 'Post updated!', post: result });
+    checkValidation(req);
+    const update = imageUrl => {
+      return postService.updatePost(actorFrom(req), postId, {
+        title: req.body.title,
+        content: req.body.content,
+        imageUrl: imageUrl,
+        tags: tagsFrom(req),
+        status: req.body.status,
+        publishAt: req.body.publishAt
+      });
+    };
+    // A new upload replaces the image (and is removed again if the update
+    // fails), otherwise the current one is kept
+    const post = req.file
+      ? await withSavedImage(req.file.buffer, update)
+      : await update(req.body.image);
+    res.status(200).json({ message: 'Post updated!', post: postJson(post) });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
@@ -143,36 +157,12 @@ exports.updatePost = async (req, res, next) => {
 exports.deletePost = async (req, res, next) => {
   const postId = req.params.postId;
   try {
-    const post = await Post.findById(postId);
-
-    if (!post) {
-      const error = new Error('Could not find post.');
-      error.statusCode = 404;
-      throw error;
-    }
-    if (post.creator.toString() !== req.userId) {
-      const error = new Error('Not authorized!');
-      error.statusCode = 403;
-      throw error;
-    }
-    // Check logged in user
-    clearImage(post.imageUrl);
-    await Post.findByIdAndRemove(postId);
-
-    const user = await User.findById(req.userId);
-    user.posts.pull(postId);
-    await user.save();
-    io.getIO().emit('posts', { action: 'delete', post: postId });
+    await postService.deletePost(actorFrom(req), postId);
     res.status(200).json({ message: 'Deleted post.' });
   } catch (err) {
     if (!err.statusCode) {
-      err.statusCode = 500;
+      err.statusCode = httpStatus(err);
     }
     next(err);
   }
 };
-
-const clearImage = filePath => {
-  filePath = path.join(__dirname, '..', filePath);
-  fs.unlink(filePath, err => console.log(err));
-};
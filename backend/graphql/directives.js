@@ -0,0 +1,62 @@
+// Import GraphQL helpers for reading directives and default field resolution
+const {
+  getDirectiveValues,
+  defaultFieldResolver,
+  isObjectType
+} = require('graphql');
+
+// Import role helpers
+const { hasRole } = require('../util/roles');
+
+/**
+ * Apply the @auth directive declared in the schema
+ * Every field annotated with @auth(requires: ROLE) gets a resolver wrapper
+ * that rejects unauthenticated requests (401) and users whose role is below
+ * the required one (403) before the actual resolver runs.
+ *
+ * Works for root fields served by rootValue as well as for fields of object
+ * types, because the wrapped resolver falls back to the default resolver.
+ *
+ * @param {GraphQLSchema} schema - Schema built from SDL
+ * @returns {GraphQLSchema} The same schema with protected fields wrapped
+ */
+module.exports = schema => {
+  const authDirective = schema.getDirective('auth');
+  const typeMap = schema.getTypeMap();
+
+  Object.keys(typeMap).forEach(typeName => {
+    const type = typeMap[typeName];
+    // Only object types have resolvers; skip introspection types
+    if (typeName.startsWith('__') || !isObjectType(type)) {
+      return;
+    }
+    const fields = type.getFields();
+    Object.keys(fields).forEach(fieldName => {
+      const field = fields[fieldName];
+      if (!field.astNode) {
+        return;
+      }
+      const directive = getDirectiveValues(authDirective, field.astNode);
+      if (!directive) {
+        return;
+      }
+      const requiredRole = directive.requires.toLowerCase();
+      const resolve = field.resolve || defaultFieldResolver;
+      field.resolve = (source, args, req, info) => {
+        if (!req.isAuth) {
+          const error = new Error('Not authenticated!');
+          error.code = 401;
+          throw error;
+        }
+        if (!hasRole(req.userRole, requiredRole)) {
+          const error = new Error('Not authorized!');
+          error.code = 403;
+          throw error;
+        }
+        return resolve(source, args, req, info);
+      };
+    });
+  });
+
+  return schema;
+};
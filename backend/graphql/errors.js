@@ -0,0 +1,27 @@
+// Import application modules
+const { httpStatus } = require('../util/http');
+
+/**
+ * Custom error formatting function
+ * This standardizes error responses and extracts meaningful error information.
+ * Shared by the HTTP endpoint and the WebSocket subscription server.
+ *
+ * @param {GraphQLError} err - Error raised while validating or executing
+ * @returns {Object} Error as sent to the client
+ */
+exports.formatError = err => {
+  // If it's a GraphQL validation error, return as-is
+  if (!err.originalError) {
+    return err;
+  }
+  // Extract custom error data, message, and status code
+  const data = err.originalError.data;
+  const message = err.message || 'An error occurred.';
+  const code = httpStatus(err.originalError);
+  const formatted = { message: message, status: code, data: data };
+  // Rate limited and locked out requests tell the client when to retry
+  if (err.originalError.retryAfter) {
+    formatted.retryAfter = err.originalError.retryAfter;
+  }
+  return formatted;
+};
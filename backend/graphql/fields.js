@@ -0,0 +1,139 @@
+// Import services for fields that load related data
+const commentService = require('../services/comment');
+const reactionService = require('../services/reaction');
+const revisionService = require('../services/revision');
+const { REACTION_TYPES } = require('../util/reactions');
+const { getFileUrl } = require('../storage');
+
+/**
+ * Convert a timestamp to an ISO string
+ * Resolvers already format their results, but documents published to
+ * subscriptions still carry Date objects
+ * @param {Date|string} value - Timestamp
+ * @returns {string} ISO 8601 string
+ */
+const toISOString = value => {
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * Load several documents through a loader, skipping missing ones
+ * @param {DataLoader} loader - Loader from the request context
+ * @param {Array} ids - Document IDs
+ * @returns {Array} Documents that exist
+ */
+const loadExisting = async (loader, ids) => {
+  const docs = await loader.loadMany(ids || []);
+  return docs.filter(doc => doc && !(doc instanceof Error));
+};
+
+/**
+ * Whether a user is the one making the request
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (contains auth info)
+ * @returns {boolean}
+ */
+const isOwnAccount = (user, req) => {
+  return req.isAuth && user._id.toString() === req.userId.toString();
+};
+
+/**
+ * Resolvers for fields of object types
+ * Root query/mutation fields live in resolvers.js and are served via
+ * rootValue; fields listed here need to compute their value from the
+ * parent object instead of reading a plain property.
+ */
+module.exports = {
+  Post: {
+    // Single post queries populate the creator; lists leave the ID so all
+    // creators of a page are loaded with one query
+    creator: (post, args, req) => {
+      if (post.creator && post.creator.name !== undefined) {
+        return post.creator;
+      }
+      return req.loaders.user.load(post.creator);
+    },
+    createdAt: post => toISOString(post.createdAt),
+    updatedAt: post => toISOString(post.updatedAt),
+    // Posts created before images were resized only have the original
+    image: post => {
+      const image = post.image || {};
+      return {
+        width: image.width,
+        height: image.height,
+        urls: {
+          thumbnail: image.thumbnailUrl || post.imageUrl,
+          medium: image.mediumUrl || post.imageUrl,
+          original: post.imageUrl
+        }
+      };
+    },
+    // Statuses are stored in lowercase; posts without one are published
+    status: post => (post.status || 'published').toUpperCase(),
+    // Other viewers get an empty list rather than an error, which the
+    // non-null field would spread to the whole list of posts
+    revisions: (post, args, req) => {
+      const actor = { userId: req.userId, role: req.userRole };
+      if (!req.isAuth || !revisionService.canViewRevisions(post, actor)) {
+        return [];
+      }
+      return revisionService.getRevisions(actor, post);
+    },
+    publishAt: post => (post.publishAt ? toISOString(post.publishAt) : null),
+    deletedAt: post => (post.deletedAt ? toISOString(post.deletedAt) : null),
+    comments: (post, { page }) => commentService.getComments(post._id, page),
+    commentCount: post => commentService.countComments(post._id),
+    // Totals are stored on the post, so listing posts needs no extra query
+    reactions: post => {
+      const counts = post.reactionCounts || {};
+      return REACTION_TYPES.map(type => {
+        return { type: type.toUpperCase(), count: counts[type] || 0 };
+      });
+    },
+    // List resolvers preload myReaction for all posts in one query;
+    // other posts (e.g. subscription payloads) are looked up individually
+    myReaction: async (post, args, req) => {
+      if (!req.isAuth) {
+        return null;
+      }
+      let type = post.myReaction;
+      if (type === undefined) {
+        const reactions = await reactionService.getUserReactions(req.userId, [post._id]);
+        type = reactions[post._id.toString()];
+      }
+      return type ? type.toUpperCase() : null;
+    }
+  },
+  Image: {
+    // Stored keys become URLs of the configured storage
+    url: (image, { size }) => getFileUrl(image.urls[size.toLowerCase()])
+  },
+  PostRevision: {
+    post: revision => revision.post.toString(),
+    createdAt: revision => toISOString(revision.createdAt),
+    // postRevision computes the diff up front; lists load the post per revision
+    diff: revision => revision.diff || revisionService.diffRevision(revision)
+  },
+  Comment: {
+    // Only top-level comments have replies
+    replies: comment => (comment.parent ? [] : commentService.getReplies(comment._id)),
+    createdAt: comment => toISOString(comment.createdAt),
+    updatedAt: comment => toISOString(comment.updatedAt)
+  },
+  User: {
+    // Roles are stored in lowercase, the Role enum uses uppercase names
+    role: user => (user.role || 'user').toUpperCase(),
+    // Users are listed to everyone (search, followers), their email isn't
+    email: (user, args, req) => (isOwnAccount(user, req) ? user.email : null),
+    // Other users only see published posts; users see their own drafts too
+    posts: async (user, args, req) => {
+      const posts = await loadExisting(req.loaders.post, user.posts);
+      const isOwn = isOwnAccount(user, req);
+      return posts.filter(post => post.isVisible() || (isOwn && !post.isDeleted()));
+    },
+    followers: (user, args, req) => loadExisting(req.loaders.user, user.followers),
+    following: (user, args, req) => loadExisting(req.loaders.user, user.following),
+    followerCount: user => (user.followers || []).length,
+    followingCount: user => (user.following || []).length
+  }
+};
@@ -0,0 +1,255 @@
+// Import GraphQL helpers for walking operations against the schema
+const {
+  GraphQLError,
+  Kind,
+  getNamedType,
+  getNullableType,
+  isLeafType,
+  isListType
+} = require('graphql');
+
+// Import application modules
+const config = require('../config');
+const postService = require('../services/post');
+const commentService = require('../services/comment');
+
+/**
+ * Query depth and cost limits
+ * Operations are measured during validation, i.e. before anything is
+ * executed, and rejected with a 400 error when they nest too deeply or cost
+ * too much.
+ *
+ * Cost model: every field returning an object costs 1 (it may need a
+ * database lookup), scalar fields cost 0 unless listed in FIELD_COSTS. The
+ * cost of a field's selection is multiplied by the number of items the field
+ * can return: its pagination argument (first, last, perPage, limit), the
+ * default page size of the query, or graphql.defaultListSize for other lists.
+ * Introspection fields (__schema, __type, ...) are free so GraphiQL works.
+ */
+
+// Arguments that set the number of returned items
+const PAGINATION_ARGS = ['first', 'last', 'perPage', 'limit'];
+
+// Items returned by paginated fields when no size argument is given
+// Wrapper lists (PostData.posts, ...) hold the page of their parent field,
+// which is already counted, so they count as a single item
+const LIST_SIZES = {
+  'RootQuery.posts': postService.PER_PAGE,
+  'RootQuery.postsByTag': postService.PER_PAGE,
+  'RootQuery.myDrafts': postService.PER_PAGE,
+  'RootQuery.myTrash': postService.PER_PAGE,
+  'RootQuery.postsConnection': 10,
+  'RootQuery.search': 10,
+  'RootQuery.popularTags': 10,
+  'RootQuery.moderationLog': 20,
+  'Post.comments': commentService.PER_PAGE,
+  'PostData.posts': 1,
+  'CommentData.comments': 1,
+  'PostConnection.edges': 1,
+  'SearchConnection.edges': 1
+};
+
+// Fields that cost more than the default
+const FIELD_COSTS = {
+  'RootQuery.search': 10,       // Text search over two collections
+  'RootQuery.popularTags': 10,  // Aggregation over all posts
+  'Post.commentCount': 1,       // Count query per post
+  'PostRevision.diff': 1        // Loads the current post
+};
+
+/**
+ * Create a 400 error that formatError reports with status and data
+ * @param {string} message - Error message
+ * @param {ASTNode} node - Operation the error refers to
+ * @param {Object} data - Measured value and limit
+ * @returns {GraphQLError}
+ */
+const limitError = (message, node, data) => {
+  const error = new Error(message);
+  error.code = 400;
+  error.data = [{ message: message, ...data }];
+  return new GraphQLError(message, [node], undefined, undefined, undefined, error);
+};
+
+/**
+ * Read the value of an integer argument of a field
+ * @param {Object} argDef - Argument definition from the schema
+ * @param {FieldNode} node - Field in the operation
+ * @param {Object} variables - Variables of the request
+ * @returns {number|undefined} Value, undefined if not given
+ */
+const intArgument = (argDef, node, variables) => {
+  const argNode = (node.arguments || []).find(
+    arg => arg.name.value === argDef.name
+  );
+  let value;
+  if (!argNode) {
+    value = argDef.defaultValue;
+  } else if (argNode.value.kind === Kind.VARIABLE) {
+    value = variables[argNode.value.name.value];
+  } else if (argNode.value.kind === Kind.INT) {
+    value = parseInt(argNode.value.value, 10);
+  }
+  return typeof value === 'number' ? Math.max(value, 0) : undefined;
+};
+
+/**
+ * Number of items a field may return
+ * @param {GraphQLObjectType} parentType - Type the field belongs to
+ * @param {Object} fieldDef - Field definition from the schema
+ * @param {FieldNode} node - Field in the operation
+ * @param {Object} variables - Variables of the request
+ * @returns {number}
+ */
+const listSize = (parentType, fieldDef, node, variables) => {
+  for (const argDef of fieldDef.args) {
+    if (PAGINATION_ARGS.includes(argDef.name)) {
+      const value = intArgument(argDef, node, variables);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+  }
+  const key = parentType.name + '.' + fieldDef.name;
+  if (LIST_SIZES[key] !== undefined) {
+    return LIST_SIZES[key];
+  }
+  return isListType(getNullableType(fieldDef.type))
+    ? config.graphql.defaultListSize
+    : 1;
+};
+
+/**
+ * Measure the depth and cost of a selection set
+ * @param {ValidationContext} context - Validation context
+ * @param {SelectionSetNode} selectionSet - Selections to measure
+ * @param {GraphQLNamedType} type - Type the selections apply to
+ * @param {number} depth - Depth of the selection set
+ * @param {Object} variables - Variables of the request
+ * @param {Array} fragments - Names of the fragments being measured (cycle guard)
+ * @param {Map} measuredFragments - { depth, cost } of fragments measured so
+ *                                  far, by name, relative to depth 0
+ * @returns {Object} { depth, cost }
+ */
+const measure = (context, selectionSet, type, depth, variables, fragments, measuredFragments) => {
+  const result = { depth: depth, cost: 0 };
+  const add = child => {
+    result.depth = Math.max(result.depth, child.depth);
+    result.cost += child.cost;
+  };
+
+  selectionSet.selections.forEach(selection => {
+    if (selection.kind === Kind.FIELD) {
+      const name = selection.name.value;
+      const fields = type && type.getFields ? type.getFields() : {};
+      const fieldDef = fields[name];
+      // Introspection is free; unknown fields are reported by other rules
+      if (name.startsWith('__') || !fieldDef) {
+        return;
+      }
+
+      const key = type.name + '.' + name;
+      let cost = FIELD_COSTS[key];
+      if (cost === undefined) {
+        cost = isLeafType(getNamedType(fieldDef.type)) ? 0 : 1;
+      }
+      let fieldDepth = depth + 1;
+      if (selection.selectionSet) {
+        const child = measure(
+          context,
+          selection.selectionSet,
+          getNamedType(fieldDef.type),
+          depth + 1,
+          variables,
+          fragments,
+          measuredFragments
+        );
+        fieldDepth = child.depth;
+        cost += listSize(type, fieldDef, selection, variables) * child.cost;
+      }
+      add({ depth: fieldDepth, cost: cost });
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const fragmentType = selection.typeCondition
+        ? context.getSchema().getType(selection.typeCondition.name.value)
+        : type;
+      add(
+        measure(context, selection.selectionSet, fragmentType, depth, variables, fragments, measuredFragments)
+      );
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      const fragment = context.getFragment(name);
+      if (!fragment || fragments.includes(name)) {
+        return;
+      }
+      // Each fragment is measured once; spreading it again reuses the result,
+      // so fragments spreading each other repeatedly can't blow up the work
+      if (!measuredFragments.has(name)) {
+        const fragmentType = context
+          .getSchema()
+          .getType(fragment.typeCondition.name.value);
+        measuredFragments.set(
+          name,
+          measure(context, fragment.selectionSet, fragmentType, 0, variables, fragments.concat(name), measuredFragments)
+        );
+      }
+      const measured = measuredFragments.get(name);
+      add({ depth: depth + measured.depth, cost: measured.cost });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Create the validation rule that enforces the configured limits
+ * @param {Object} variables - Variables of the request (used for page sizes)
+ * @returns {Function} GraphQL validation rule
+ */
+const createLimitRule = variables => {
+  const maxDepth = config.graphql.maxDepth;
+  const maxCost = config.graphql.maxCost;
+
+  return context => {
+    return {
+      OperationDefinition: node => {
+        const schema = context.getSchema();
+        const rootTypes = {
+          query: schema.getQueryType(),
+          mutation: schema.getMutationType(),
+          subscription: schema.getSubscriptionType()
+        };
+        const measured = measure(
+          context,
+          node.selectionSet,
+          rootTypes[node.operation],
+          0,
+          variables || {},
+          [],
+          new Map()
+        );
+
+        if (measured.depth > maxDepth) {
+          context.reportError(
+            limitError(
+              'Query is too deep: depth ' + measured.depth + ' exceeds the maximum of ' + maxDepth + '.',
+              node,
+              { depth: measured.depth, maxDepth: maxDepth }
+            )
+          );
+        }
+        if (measured.cost > maxCost) {
+          context.reportError(
+            limitError(
+              'Query is too expensive: cost ' + measured.cost + ' exceeds the maximum of ' + maxCost + '.',
+              node,
+              { cost: measured.cost, maxCost: maxCost }
+            )
+          );
+        }
+      }
+    };
+  };
+};
+
+// Export the rule factory
+exports.createLimitRule = createLimitRule;
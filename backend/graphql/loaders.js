@@ -0,0 +1,46 @@
+// Import DataLoader for batching and caching lookups by ID
+const DataLoader = require('dataloader');
+
+// Import application models
+const User = require('../models/user');
+const Post = require('../models/post');
+
+/**
+ * Load documents by ID with a single query
+ * @param {Object} Model - Mongoose model
+ * @param {Array} ids - IDs (strings or ObjectIds)
+ * @returns {Array} Documents in the order of ids (null for missing ones)
+ */
+const loadByIds = async (Model, ids) => {
+  const docs = await Model.find({ _id: { $in: ids } });
+  const byId = {};
+  docs.forEach(doc => {
+    byId[doc._id.toString()] = doc;
+  });
+  return ids.map(id => byId[id.toString()] || null);
+};
+
+/**
+ * Create the loaders for one GraphQL request
+ * Field resolvers load related users and posts through these, so a list of
+ * posts with their creators (and their creators' posts) needs one query per
+ * level instead of one per item. Loaders cache for their lifetime, so create
+ * new ones for every request.
+ *
+ * @param {Object} options - DataLoader options, e.g. { cache: false } for
+ *                           long-lived contexts like subscriptions (optional)
+ * @returns {Object} { user, post } loaders
+ */
+const createLoaders = (options = {}) => {
+  const loaderOptions = {
+    ...options,
+    // ObjectIds and their strings refer to the same document
+    cacheKeyFn: id => id.toString()
+  };
+  return {
+    user: new DataLoader(ids => loadByIds(User, ids), loaderOptions),
+    post: new DataLoader(ids => loadByIds(Post, ids), loaderOptions)
+  };
+};
+
+module.exports = createLoaders;
@@ -0,0 +1,19 @@
+// Import the in-memory publish/subscribe engine for GraphQL subscriptions
+const { PubSub } = require('graphql-subscriptions');
+
+/**
+ * Shared PubSub instance
+ * Resolvers publish events here and subscription resolvers listen to them.
+ * It is in-memory, so events only reach clients connected to the same
+ * server process.
+ */
+exports.pubsub = new PubSub();
+
+// Event names for post changes
+exports.POST_CREATED = 'POST_CREATED';
+exports.POST_UPDATED = 'POST_UPDATED';
+exports.POST_DELETED = 'POST_DELETED';
+
+// Internal event: a post was scheduled, wakes the publish scheduler
+// (not exposed as a GraphQL subscription)
+exports.POST_SCHEDULED = 'POST_SCHEDULED';
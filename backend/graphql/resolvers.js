@@ -1,229 +1,410 @@
-// Import required packages for authentication, validation, and utilities
-const bcrypt = require('bcryptjs');        // For password hashing and comparison
-const validator = require('validator');     // For input validation (email, length, etc.)
-const jwt = require('jsonwebtoken');       // For creating and verifying JWT tokens
+// Import services that implement the actual logic (shared with the REST API)
+const authService = require('../services/auth');
+const postService = require('../services/post');
+const userService = require('../services/user');
+const commentService = require('../services/comment');
+const reactionService = require('../services/reaction');
+const searchService = require('../services/search');
+const revisionService = require('../services/revision');
+const rateLimit = require('../rate-limit');
+const { withSavedImage, fileTooLarge } = require('../util/image');
+const {
+  pubsub,
+  POST_CREATED,
+  POST_UPDATED,
+  POST_DELETED
+} = require('./pubsub');
 
-// Import database models
-const User = require('../models/user');
-const Post = require('../models/post');
-const { clearImage } = require('../util/file');
+/**
+ * Throw a 401 error unless the request is authenticated
+ * @param {Object} req - Express request object (contains auth info)
+ */
+const requireAuth = req => {
+  if (!req.isAuth) {
+    const error = new Error('Not authenticated!');
+    error.code = 401;
+    throw error;
+  }
+};
+
+/**
+ * Build the acting user passed to services from the request
+ * @param {Object} req - Express request object (contains auth info)
+ * @returns {Object} { userId, role }
+ */
+const actorFrom = req => {
+  return { userId: req.userId, role: req.userRole };
+};
+
+/**
+ * Convert a post document into its GraphQL representation
+ * @param {Object} post - Post document
+ * @returns {Object} Post with string ID and ISO timestamps
+ */
+const formatPost = post => {
+  return {
+    ...post._doc,
+    _id: post._id.toString(),
+    publishAt: post.publishAt ? post.publishAt.toISOString() : null,
+    createdAt: post.createdAt.toISOString(),
+    updatedAt: post.updatedAt.toISOString()
+  };
+};
+
+/**
+ * Attach the current user's reaction to formatted posts
+ * Loads the reactions of all posts with a single query so Post.myReaction
+ * doesn't query once per post
+ * @param {Array} posts - Formatted posts
+ * @param {Object} req - Express request object (contains auth info)
+ * @returns {Array} Posts with a myReaction property (null if none)
+ */
+const withMyReactions = async (posts, req) => {
+  const reactions = await reactionService.getUserReactions(
+    req.userId,
+    posts.map(p => p._id)
+  );
+  return posts.map(p => {
+    return { ...p, myReaction: reactions[p._id] || null };
+  });
+};
 
-// GraphQL resolver functions - these implement the actual logic for each GraphQL operation
+/**
+ * Convert a PostInputData argument into the input of the post service
+ * @param {Object} postInput - GraphQL post input
+ * @returns {Object} Post input with a lowercase status
+ */
+const toServicePostInput = postInput => {
+  const input = { ...postInput };
+  if (input.status) {
+    input.status = input.status.toLowerCase();
+  }
+  return input;
+};
+
+/**
+ * Read an image uploaded with a mutation (GraphQL multipart request)
+ * @param {Promise} image - Upload argument, resolves to { createReadStream }
+ * @returns {Buffer} File contents
+ */
+const readUpload = async image => {
+  const file = await image;
+  const chunks = [];
+  try {
+    for await (const chunk of file.createReadStream()) {
+      chunks.push(chunk);
+    }
+  } catch (err) {
+    // graphql-upload aborts files over the size limit with a 413 error
+    throw err.status === 413 ? fileTooLarge() : err;
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Run a post mutation with an optional uploaded image
+ * The upload replaces postInput.imageUrl and counts against the same budget
+ * as PUT /post-image; if the mutation fails the stored image is removed
+ * again, so upload and mutation succeed or fail together
+ * @param {Object} req - Express request object (contains auth info)
+ * @param {Promise} image - Upload argument (optional)
+ * @param {Object} postInput - Service post input
+ * @param {Function} save - Mutation, receives the post input
+ * @returns {Object} Result of save
+ */
+const withUploadedImage = async (req, image, postInput, save) => {
+  if (!image) {
+    return save(postInput);
+  }
+  await rateLimit.consume('uploadImage', rateLimit.clientFrom(req));
+  const buffer = await readUpload(image);
+  return withSavedImage(buffer, imageUrl => {
+    return save({ ...postInput, imageUrl: imageUrl });
+  });
+};
+
+/**
+ * Convert a user document into its GraphQL representation
+ * @param {Object} user - User document
+ * @returns {Object} User with string ID
+ */
+const formatUser = user => {
+  return { ...user._doc, _id: user._id.toString() };
+};
+
+// GraphQL resolver functions - these map GraphQL operations onto the services
 module.exports = {
   /**
    * Create a new user account (registration)
    * @param {Object} userInput - Contains email, name, and password
-   * @param {Object} req - Express request object
+   * @param {Object} req - Express request object (client IP for rate limiting)
    * @returns {Object} Created user object
    */
   createUser: async function({ userInput }, req) {
-    //   const email = args.userInput.email;
-    
-    // Input validation array to collect any validation errors
-    const errors = [];
-    
-    // Validate email format using validator library
-    if (!validator.isEmail(userInput.email)) {
-      errors.push({ message: 'E-Mail is invalid.' });
-    }
-    
-    // Validate password length and ensure it's not empty
-    if (
-      validator.isEmpty(userInput.password) ||
-      !validator.isLength(userInput.password, { min: 5 })
-    ) {
-      errors.push({ message: 'Password too short!' });
-    }
-    
-    // If validation errors exist, throw error with details
-    if (errors.length > 0) {
-      const error = new Error('Invalid input.');
-      error.data = errors;
-      error.code = 422;
-      throw error;
-    }
-    
-    // Check if user already exists with this email
-    const existingUser = await User.findOne({ email: userInput.email });
-    if (existingUser) {
-      const error = new Error('User exists already!');
-      throw error;
-    }
-    
-    // Hash the password for secure storage (salt rounds: 12)
-    const hashedPw = await bcrypt.hash(userInput.password, 12);
-    
-    // Create new user instance with hashed password
-    const user = new User({
-      email: userInput.email,
-      name: userInput.name,
-      password: hashedPw
-    });
-    
-    // Save user to database
-    const createdUser = await user.save();
-    
-    // Return user data with converted ObjectId to string
-    return { ...createdUser._doc, _id: createdUser._id.toString() };
+    await rateLimit.consume('createUser', rateLimit.clientFrom(req));
+    const user = await authService.createUser(userInput);
+    return formatUser(user);
   },
-  
+
   /**
    * User login authentication
    * @param {string} email - User's email address
    * @param {string} password - User's plain text password
-   * @returns {Object} Authentication data with JWT token and user ID
-   */
-  login: async function({ email, password }) {
-    // Find user by email address
-    const user = await User.findOne({ email: email });
-    if (!user) {
-      const error = new Error('User not found.');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Compare provided password with stored hashed password
-    const isEqual = await bcrypt.compare(password, user.password);
-    if (!isEqual) {
-      const error = new Error('Password is incorrect.');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Create JWT token with user information
-    // Token expires in 1 hour for security
-    const token = jwt.sign(
-      {
-        userId: user._id.toString(),
-        email: user.email
-      },
-      'somesupersecretsecret',
-      { expiresIn: '1h' }
-    );
-    
-    // Return authentication data
-    return { token: token, userId: user._id.toString() };
+   * @param {Object} req - Express request object (client IP for rate limiting)
+   * @returns {Object} Authentication data with access token, refresh token and user ID
+   */
+  login: async function({ email, password }, req) {
+    await rateLimit.consume('login', rateLimit.clientFrom(req));
+    return authService.login(email, password);
   },
-  
+
+  /**
+   * Exchange a refresh token for a new access token
+   * The presented refresh token is rotated and can't be used again
+   * @param {string} refreshToken - Refresh token from a previous login/refresh
+   * @returns {Object} Authentication data with new access and refresh tokens
+   */
+  refreshToken: async function({ refreshToken }) {
+    return authService.refresh(refreshToken);
+  },
+
+  /**
+   * End the current session (or all sessions of the user)
+   * The session is identified by the access token or by the refresh token
+   * @param {string} refreshToken - Refresh token of the session to end (optional)
+   * @param {boolean} allSessions - Revoke every session of the authenticated user
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {boolean} Success status
+   */
+  logout: async function({ refreshToken, allSessions }, req) {
+    return authService.logout({
+      userId: req.isAuth ? req.userId : null,
+      sessionId: req.isAuth ? req.sessionId : null,
+      refreshToken: refreshToken,
+      allSessions: allSessions
+    });
+  },
+
+  /**
+   * Confirm an email address using the token from the verification email
+   * @param {string} token - Plain verification token
+   * @returns {boolean} Success status
+   */
+  verifyEmail: async function({ token }) {
+    return authService.verifyEmail(token);
+  },
+
+  /**
+   * Send a new verification email
+   * Always succeeds so the response doesn't reveal which emails are registered
+   * @param {string} email - Email address of the unverified account
+   * @returns {boolean} Always true
+   */
+  resendVerification: async function({ email }) {
+    return authService.resendVerification(email);
+  },
+
+  /**
+   * Send a password reset link to the given email address
+   * Always succeeds so the response doesn't reveal which emails are registered
+   * @param {string} email - Email address of the account
+   * @returns {boolean} Always true
+   */
+  requestPasswordReset: async function({ email }) {
+    return authService.requestPasswordReset(email);
+  },
+
+  /**
+   * Set a new password using a token from a password reset email
+   * The token is single use; all existing sessions are revoked afterwards
+   * @param {string} token - Plain reset token from the email
+   * @param {string} newPassword - New plain text password
+   * @returns {boolean} Success status
+   */
+  resetPassword: async function({ token, newPassword }) {
+    return authService.resetPassword(token, newPassword);
+  },
+
   /**
    * Create a new post
-   * @param {Object} postInput - Contains title, content, and imageUrl
+   * @param {Object} postInput - Contains title, content, imageUrl and optional tags
+   * @param {Promise} image - Uploaded image, used instead of imageUrl (optional)
    * @param {Object} req - Express request object (contains auth info)
    * @returns {Object} Created post object
    */
-  createPost: async function({ postInput }, req) {
-    // Check if user is authenticated
-    if (!req.isAuth) {
-      const error = new Error('Not authenticated!');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Input validation array
-    const errors = [];
-    
-    // Validate post title
-    if (
-      validator.isEmpty(postInput.title) ||
-      !validator.isLength(postInput.title, { min: 5 })
-    ) {
-      errors.push({ message: 'Title is invalid.' });
-    }
-    
-    // Validate post content
-    if (
-      validator.isEmpty(postInput.content) ||
-      !validator.isLength(postInput.content, { min: 5 })
-    ) {
-      errors.push({ message: 'Content is invalid.' });
-    }
-    
-    // If validation errors exist, throw error with details
-    if (errors.length > 0) {
-      const error = new Error('Invalid input.');
-      error.data = errors;
-      error.code = 422;
-      throw error;
-    }
-    
-    // Verify user exists in database
-    const user = await User.findById(req.userId);
-    if (!user) {
-      const error = new Error('Invalid user.');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Create new post instance
-    const post = new Post({
-      title: postInput.title,
-      content: postInput.content,
-      imageUrl: postInput.imageUrl,
-      creator: user
+  createPost: async function({ postInput, image }, req) {
+    requireAuth(req);
+    await rateLimit.consume('createPost', rateLimit.clientFrom(req));
+    const post = await withUploadedImage(
+      req,
+      image,
+      toServicePostInput(postInput),
+      input => postService.createPost(actorFrom(req), input)
+    );
+    return formatPost(post);
+  },
+
+  /**
+   * Get paginated list of posts
+   * @param {number} page - Page number for pagination (optional, defaults to 1)
+   * @param {number} perPage - Posts per page (optional, server-enforced maximum)
+   * @param {string} sort - NEWEST, OLDEST, UPDATED or TITLE
+   * @param {Object} filter - Creator and created/updated date ranges (optional)
+   * @param {string} scope - ALL or FOLLOWING (only followed users' posts)
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Object containing posts array and total count
+   */
+  posts: async function({ page, perPage, sort, filter, scope }, req) {
+    requireAuth(req);
+    const result = await postService.getPosts(page, {
+      scope: (scope || 'ALL').toLowerCase(),
+      userId: req.userId,
+      perPage: perPage,
+      sort: (sort || 'NEWEST').toLowerCase(),
+      filter: filter
     });
-    
-    // Save post to database
-    const createdPost = await post.save();
-    
-    // Add post reference to user's posts array
-    user.posts.push(createdPost);
-    await user.save();
-    
-    // Return created post with formatted timestamps
     return {
-      ...createdPost._doc,
-      _id: createdPost._id.toString(),
-      createdAt: createdPost.createdAt.toISOString(),
-      updatedAt: createdPost.updatedAt.toISOString()
+      posts: await withMyReactions(result.posts.map(formatPost), req),
+      totalPosts: result.totalPosts
     };
   },
-  
+
   /**
-   * Get paginated list of posts
+   * Get posts with cursor-based (Relay connection) pagination
+   * @param {number} first - Number of posts after the `after` cursor
+   * @param {string} after - Cursor to continue from (older posts)
+   * @param {number} last - Number of posts before the `before` cursor
+   * @param {string} before - Cursor to go back from (newer posts)
+   * @param {string} scope - ALL or FOLLOWING (only followed users' posts)
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Connection with edges, pageInfo and totalCount
+   */
+  postsConnection: async function({ first, after, last, before, scope }, req) {
+    requireAuth(req);
+    const result = await postService.getPostsConnection(
+      { first: first, after: after, last: last, before: before },
+      { scope: (scope || 'ALL').toLowerCase(), userId: req.userId }
+    );
+    const nodes = await withMyReactions(
+      result.edges.map(edge => formatPost(edge.node)),
+      req
+    );
+    return {
+      ...result,
+      edges: result.edges.map((edge, i) => {
+        return { cursor: edge.cursor, node: nodes[i] };
+      })
+    };
+  },
+
+  /**
+   * Get a single revision of a post (protected by @auth)
+   * Only the post's creator and moderators may see revisions
+   * @param {string} id - Revision ID
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Revision with its diff against the current version
+   */
+  postRevision: async function({ id }, req) {
+    const result = await revisionService.getRevision(actorFrom(req), id);
+    return {
+      ...result.revision._doc,
+      _id: result.revision._id.toString(),
+      diff: await revisionService.diffRevision(result.revision, result.post)
+    };
+  },
+
+  /**
+   * Get the current user's posts in the trash (protected by @auth)
    * @param {number} page - Page number for pagination (optional, defaults to 1)
    * @param {Object} req - Express request object (contains auth info)
    * @returns {Object} Object containing posts array and total count
    */
-  posts: async function({ page }, req) {
-    // Check if user is authenticated
-    if (!req.isAuth) {
-      const error = new Error('Not authenticated!');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Set default page to 1 if not provided
-    if (!page) {
-      page = 1;
-    }
-    
-    // Define posts per page (configured for pagination)
-    const perPage = 2;
-    
-    // Get total count of posts for pagination metadata
-    const totalPosts = await Post.find().countDocuments();
-    
-    // Fetch posts with pagination, sorting, and population of creator field
-    const posts = await Post.find()
-      .sort({ createdAt: -1 })                    // Sort by creation date (newest first)
-      .skip((page - 1) * perPage)                 // Skip posts for pagination
-      .limit(perPage)                             // Limit results per page
-      .populate('creator');                       // Populate creator field with user data
-    
+  myTrash: async function({ page }, req) {
+    const result = await postService.getTrash(actorFrom(req), page);
+    return {
+      posts: result.posts.map(formatPost),
+      totalPosts: result.totalPosts
+    };
+  },
+
+  /**
+   * Get the current user's drafts and scheduled posts (protected by @auth)
+   * @param {number} page - Page number for pagination (optional, defaults to 1)
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Object containing posts array and total count
+   */
+  myDrafts: async function({ page }, req) {
+    const result = await postService.getDrafts(actorFrom(req), page);
+    return {
+      posts: result.posts.map(formatPost),
+      totalPosts: result.totalPosts
+    };
+  },
+
+  /**
+   * Get posts with a tag, newest first
+   * @param {string} tag - Tag, with or without '#'
+   * @param {number} page - Page number for pagination (optional, defaults to 1)
+   * @param {number} perPage - Posts per page (optional)
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Object containing posts array and total count
+   */
+  postsByTag: async function({ tag, page, perPage }, req) {
+    requireAuth(req);
+    const result = await postService.getPosts(page, {
+      perPage: perPage,
+      filter: { tag: tag }
+    });
+    return {
+      posts: await withMyReactions(result.posts.map(formatPost), req),
+      totalPosts: result.totalPosts
+    };
+  },
+
+  /**
+   * Get the most used tags
+   * @param {number} limit - Number of tags (optional, defaults to 10)
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Array} Tags with their post counts, most used first
+   */
+  popularTags: async function({ limit }, req) {
+    requireAuth(req);
+    return postService.getPopularTags(limit);
+  },
+
+  /**
+   * Full-text search over posts and users
+   * @param {string} query - Search words (Mongo text search syntax)
+   * @param {string} type - ALL, POSTS or USERS
+   * @param {number} first - Number of results (optional)
+   * @param {string} after - Cursor of the last result of the previous page
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Connection of ranked hits with highlighted snippets
+   */
+  search: async function({ query, type, first, after }, req) {
+    requireAuth(req);
+    const result = await searchService.search(query, {
+      type: (type || 'ALL').toLowerCase(),
+      first: first,
+      after: after
+    });
     return {
-      // Map posts to include formatted timestamps and string IDs
-      posts: posts.map(p => {
+      ...result,
+      edges: result.edges.map(edge => {
+        // __typename tells GraphQL which member of SearchResult the node is
+        const node = edge.post
+          ? { ...formatPost(edge.post), __typename: 'Post' }
+          : { ...formatUser(edge.user), __typename: 'User' };
         return {
-          ...p._doc,
-          _id: p._id.toString(),
-          createdAt: p.createdAt.toISOString(),
-          updatedAt: p.updatedAt.toISOString()
+          cursor: edge.cursor,
+          score: edge.score,
+          snippet: edge.snippet,
+          node: node
         };
-      }),
-      totalPosts: totalPosts
+      })
     };
   },
-  
+
   /**
    * Get a single post by ID
    * @param {string} id - Post ID
@@ -231,146 +412,167 @@ module.exports = {
    * @returns {Object} Single post object
    */
   post: async function({ id }, req) {
-    // Check if user is authenticated
-    if (!req.isAuth) {
-      const error = new Error('Not authenticated!');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Find post by ID and populate creator information
-    const post = await Post.findById(id).populate('creator');
-    if (!post) {
-      const error = new Error('No post found!');
-      error.code = 404;
-      throw error;
-    }
-    
-    // Return post with formatted timestamps
-    return {
-      ...post._doc,
-      _id: post._id.toString(),
-      createdAt: post.createdAt.toISOString(),
-      updatedAt: post.updatedAt.toISOString()
-    };
+    requireAuth(req);
+    const post = await postService.getPost(id, actorFrom(req));
+    return formatPost(post);
   },
-  
+
   /**
    * Update an existing post
    * @param {string} id - Post ID to update
    * @param {Object} postInput - Updated post data
+   * @param {Promise} image - New uploaded image (optional)
    * @param {Object} req - Express request object (contains auth info)
    * @returns {Object} Updated post object
    */
-  updatePost: async function({ id, postInput }, req) {
-    // Check if user is authenticated
-    if (!req.isAuth) {
-      const error = new Error('Not authenticated!');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Find post and populate creator information
-    const post = await Post.findById(id).populate('creator');
-    if (!post) {
-      const error = new Error('No post found!');
-      error.code = 404;
-      throw error;
-    }
-    
-    // Check if the authenticated user is the creator of the post
-    if (post.creator._id.toString() !== req.userId.toString()) {
-      const error = new Error('Not authorized!');
-      error.code = 403;
-      throw error;
-    }
-    
-    // Input validation
-    const errors = [];
-    if (
-      validator.isEmpty(postInput.title) ||
-      !validator.isLength(postInput.title, { min: 5 })
-    ) {
-      errors.push({ message: 'Title is invalid.' });
-    }
-    if (
-      validator.isEmpty(postInput.content) ||
-      !validator.isLength(postInput.content, { min: 5 })
-    ) {
-      errors.push({ message: 'Content is invalid.' });
-    }
-    if (errors.length > 0) {
-      const error = new Error('Invalid input.');
-      error.data = errors;
-      error.code = 422;
-      throw error;
-    }
-    
-    // Update post fields
-    post.title = postInput.title;
-    post.content = postInput.content;
-    // Only update image URL if a new one is provided (not 'undefined' string)
-    if (postInput.imageUrl !== 'undefined') {
-      post.imageUrl = postInput.imageUrl;
-    }
-    
-    // Save updated post
-    // Save updated post
-    const updatedPost = await post.save();
-    
-    // Return updated post with formatted timestamps
-    return {
-      ...updatedPost._doc,
-      _id: updatedPost._id.toString(),
-      createdAt: updatedPost.createdAt.toISOString(),
-      updatedAt: updatedPost.updatedAt.toISOString()
-    };
+  updatePost: async function({ id, postInput, image }, req) {
+    requireAuth(req);
+    const post = await withUploadedImage(
+      req,
+      image,
+      toServicePostInput(postInput),
+      input => postService.updatePost(actorFrom(req), id, input)
+    );
+    return formatPost(post);
   },
-  
+
   /**
-   * Delete a post
+   * Restore a post to an earlier version (protected by @auth, creator only)
+   * @param {string} id - Revision ID
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Restored post
+   */
+  restorePostRevision: async function({ id }, req) {
+    const post = await postService.restorePostRevision(actorFrom(req), id);
+    return formatPost(post);
+  },
+
+  /**
+   * Publish a draft or scheduled post right away (protected by @auth)
+   * @param {string} id - Post ID
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Published post
+   */
+  publishPost: async function({ id }, req) {
+    const post = await postService.publishPost(actorFrom(req), id);
+    return formatPost(post);
+  },
+
+  /**
+   * Delete a post (moves it to the trash)
    * @param {string} id - Post ID to delete
    * @param {Object} req - Express request object (contains auth info)
    * @returns {boolean} Success status
    */
   deletePost: async function({ id }, req) {
-    // Check if user is authenticated
-    if (!req.isAuth) {
-      const error = new Error('Not authenticated!');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Find post to delete
-    const post = await Post.findById(id);
-    if (!post) {
-      const error = new Error('No post found!');
-      error.code = 404;
-      throw error;
-    }
-    
-    // Check if the authenticated user is the creator of the post
-    if (post.creator.toString() !== req.userId.toString()) {
-      const error = new Error('Not authorized!');
-      error.code = 403;
-      throw error;
-    }
-    
-    // Delete associated image file from filesystem
-    clearImage(post.imageUrl);
-    
-    // Remove post from database
-    await Post.findByIdAndRemove(id);
-    
-    // Remove post reference from user's posts array
-    const user = await User.findById(req.userId);
-    user.posts.pull(id);
-    await user.save();
-    
-    // Return success status
-    return true;
-  },
-  
+    requireAuth(req);
+    return postService.deletePost(actorFrom(req), id);
+  },
+
+  /**
+   * Take a post out of the trash (protected by @auth)
+   * @param {string} id - Post ID
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Restored post
+   */
+  restorePost: async function({ id }, req) {
+    const post = await postService.restorePost(actorFrom(req), id);
+    return formatPost(post);
+  },
+
+  /**
+   * Permanently delete a post from the trash (protected by @auth)
+   * @param {string} id - Post ID
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {boolean} Success status
+   */
+  purgePost: async function({ id }, req) {
+    return postService.purgePost(actorFrom(req), id);
+  },
+
+  /**
+   * Comment on a post (protected by @auth)
+   * @param {string} postId - Post to comment on
+   * @param {string} body - Comment text
+   * @param {string} parentId - Top-level comment to reply to (optional)
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Created comment
+   */
+  addComment: async function({ postId, body, parentId }, req) {
+    return commentService.addComment(actorFrom(req), postId, body, parentId);
+  },
+
+  /**
+   * Change the text of a comment (protected by @auth)
+   * @param {string} id - Comment ID
+   * @param {string} body - New comment text
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Updated comment
+   */
+  editComment: async function({ id, body }, req) {
+    return commentService.editComment(actorFrom(req), id, body);
+  },
+
+  /**
+   * Delete a comment and its replies (protected by @auth)
+   * @param {string} id - Comment ID
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {boolean} Success status
+   */
+  deleteComment: async function({ id }, req) {
+    return commentService.deleteComment(actorFrom(req), id);
+  },
+
+  /**
+   * Follow a user (protected by @auth)
+   * @param {string} userId - ID of the user to follow
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Followed user
+   */
+  followUser: async function({ userId }, req) {
+    const user = await userService.followUser(actorFrom(req), userId);
+    return formatUser(user);
+  },
+
+  /**
+   * Stop following a user (protected by @auth)
+   * @param {string} userId - ID of the user to unfollow
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Unfollowed user
+   */
+  unfollowUser: async function({ userId }, req) {
+    const user = await userService.unfollowUser(actorFrom(req), userId);
+    return formatUser(user);
+  },
+
+  /**
+   * React to a post (protected by @auth)
+   * Idempotent: the same reaction twice changes nothing
+   * @param {string} postId - Post ID
+   * @param {string} type - Reaction type (LIKE, LOVE, ...)
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Post with updated reactions
+   */
+  reactToPost: async function({ postId, type }, req) {
+    const post = await reactionService.reactToPost(
+      actorFrom(req),
+      postId,
+      type.toLowerCase()
+    );
+    return { ...formatPost(post), myReaction: type.toLowerCase() };
+  },
+
+  /**
+   * Remove the current user's reaction from a post (protected by @auth)
+   * @param {string} postId - Post ID
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Post with updated reactions
+   */
+  removeReaction: async function({ postId }, req) {
+    const post = await reactionService.removeReaction(actorFrom(req), postId);
+    return { ...formatPost(post), myReaction: null };
+  },
+
   /**
    * Get current user's information
    * @param {Object} args - GraphQL arguments (unused)
@@ -378,25 +580,11 @@ module.exports = {
    * @returns {Object} User object
    */
   user: async function(args, req) {
-    // Check if user is authenticated
-    if (!req.isAuth) {
-      const error = new Error('Not authenticated!');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Find user by ID from JWT token
-    const user = await User.findById(req.userId);
-    if (!user) {
-      const error = new Error('No user found!');
-      error.code = 404;
-      throw error;
-    }
-    
-    // Return user data with string ID
-    return { ...user._doc, _id: user._id.toString() };
+    requireAuth(req);
+    const user = await userService.getUser(req.userId);
+    return formatUser(user);
   },
-  
+
   /**
    * Update user's status message
    * @param {string} status - New status message
@@ -404,26 +592,77 @@ module.exports = {
    * @returns {Object} Updated user object
    */
   updateStatus: async function({ status }, req) {
-    // Check if user is authenticated
-    if (!req.isAuth) {
-      const error = new Error('Not authenticated!');
-      error.code = 401;
-      throw error;
-    }
-    
-    // Find user by ID from JWT token
-    const user = await User.findById(req.userId);
-    if (!user) {
-      const error = new Error('No user found!');
-      error.code = 404;
-      throw error;
-    }
-    
-    // Update user's status and save
-    user.status = status;
-    await user.save();
-    
-    // Return updated user data
-    return { ...user._doc, _id: user._id.toString() };
+    requireAuth(req);
+    const user = await userService.updateStatus(req.userId, status);
+    return formatUser(user);
+  },
+
+  /**
+   * Get recent moderation actions (protected by @auth(requires: MODERATOR))
+   * @param {number} page - Page number for pagination (optional, defaults to 1)
+   * @returns {Array} Moderation actions, newest first
+   */
+  moderationLog: async function({ page }) {
+    const actions = await postService.getModerationLog(page);
+    return actions.map(a => {
+      return {
+        ...a._doc,
+        _id: a._id.toString(),
+        moderator: a.moderator.toString(),
+        post: a.post.toString(),
+        postCreator: a.postCreator.toString(),
+        createdAt: a.createdAt.toISOString()
+      };
+    });
+  },
+
+  /**
+   * Change the role of a user (protected by @auth(requires: ADMIN))
+   * The user's sessions are revoked so new tokens carry the new role
+   * @param {string} userId - ID of the user to change
+   * @param {string} role - New role (USER, MODERATOR or ADMIN)
+   * @param {Object} req - Express request object (contains auth info)
+   * @returns {Object} Updated user object
+   */
+  setUserRole: async function({ userId, role }, req) {
+    const user = await userService.setUserRole(
+      actorFrom(req),
+      userId,
+      role.toLowerCase()
+    );
+    return formatUser(user);
+  },
+
+  /**
+   * Subscribe to newly created posts
+   * @param {Object} args - GraphQL arguments (unused)
+   * @param {Object} req - Request-like context of the WebSocket connection
+   * @returns {AsyncIterator} Stream of { postCreated } events
+   */
+  postCreated: function(args, req) {
+    requireAuth(req);
+    return pubsub.asyncIterator(POST_CREATED);
+  },
+
+  /**
+   * Subscribe to edited posts
+   * @param {Object} args - GraphQL arguments (unused)
+   * @param {Object} req - Request-like context of the WebSocket connection
+   * @returns {AsyncIterator} Stream of { postUpdated } events
+   */
+  postUpdated: function(args, req) {
+    requireAuth(req);
+    return pubsub.asyncIterator(POST_UPDATED);
+  },
+
+  /**
+   * Subscribe to deleted posts
+   * @param {Object} args - GraphQL arguments (unused)
+   * @param {Object} req - Request-like context of the WebSocket connection
+   * @returns {AsyncIterator} Stream of { postDeleted } events
+   */
+  postDeleted: function(args, req) {
+    requireAuth(req);
+    return pubsub.asyncIterator(POST_DELETED);
   }
 };
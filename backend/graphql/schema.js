@@ -1,34 +1,185 @@
 // Import GraphQL schema building function
 const { buildSchema } = require('graphql');
+const { GraphQLUpload } = require('graphql-upload');
 
-// Export the GraphQL schema definition
+// Import schema extensions: @auth directive and object field resolvers
+const applyAuthDirective = require('./directives');
+const fieldResolvers = require('./fields');
+
+// GraphQL schema definition
 // This defines the structure of data and available operations
-module.exports = buildSchema(`
+const schema = buildSchema(`
+    # Restricts a field to authenticated users with at least the given role
+    directive @auth(requires: Role = USER) on FIELD_DEFINITION
+
+    # A file sent with a GraphQL multipart request
+    scalar Upload
+
+    # User roles, from least to most privileged
+    enum Role {
+        USER
+        MODERATOR
+        ADMIN
+    }
+
     # Post type definition - represents a blog post or social media post
     type Post {
         _id: ID!           # Unique identifier (required)
         title: String!     # Post title (required)
         content: String!   # Post content/body (required)
         imageUrl: String!  # URL to associated image (required)
+        image: Image!      # The image in several sizes
         creator: User!     # User who created the post (required, references User type)
         createdAt: String! # Timestamp when post was created (required)
         updatedAt: String! # Timestamp when post was last updated (required)
+        comments(page: Int): CommentData! # Top-level comments, oldest first
+        commentCount: Int! # Number of comments including replies
+        reactions: [ReactionCount!]! # Number of reactions per type
+        myReaction: ReactionType # Reaction of the current user (null if none)
+        tags: [String!]!   # Normalized tags, including hashtags from the content
+        status: PostStatus! # Drafts and scheduled posts are only visible to their creator
+        publishAt: String  # When a scheduled post goes live / a post went live
+        revisions: [PostRevision!]! # Earlier versions, newest first (creator or moderator)
+        deletedAt: String  # When the post was moved to the trash (null otherwise)
+    }
+
+    # Sizes an image is available in
+    enum ImageSize {
+        THUMBNAIL    # At most 200px on the longest side
+        MEDIUM       # At most 800px on the longest side
+        ORIGINAL     # As uploaded
+    }
+
+    # An uploaded image with its resized variants
+    type Image {
+        url(size: ImageSize = ORIGINAL): String!
+        width: Int         # Width of the original in pixels (null for old posts)
+        height: Int        # Height of the original in pixels (null for old posts)
+    }
+
+    # A version of a post before one of its updates
+    type PostRevision {
+        _id: ID!
+        post: ID!          # Post the revision belongs to
+        editor: User!      # User whose update replaced this version
+        title: String!
+        content: String!
+        imageUrl: String!
+        tags: [String!]!
+        createdAt: String! # When the version was replaced
+        diff: [FieldDiff!]! # Fields that differ from the current version
+    }
+
+    # A field that differs between a revision and the current post
+    type FieldDiff {
+        field: String!     # title, content, imageUrl or tags
+        revision: String   # Value in the revision (tags comma-separated)
+        current: String    # Value in the current version
+    }
+
+    # Lifecycle of a post
+    enum PostStatus {
+        DRAFT        # Not visible to others, published manually
+        SCHEDULED    # Published automatically at publishAt
+        PUBLISHED    # Visible to everyone
+    }
+
+    # A tag with the number of posts using it
+    type TagCount {
+        tag: String!
+        count: Int!
+    }
+
+    # Kinds of reactions on a post
+    enum ReactionType {
+        LIKE
+        LOVE
+        HAHA
+        WOW
+        SAD
+        ANGRY
+    }
+
+    # Number of reactions of one type on a post
+    type ReactionCount {
+        type: ReactionType!
+        count: Int!
+    }
+
+    # Comment type definition - a comment on a post or a reply to a comment
+    type Comment {
+        _id: ID!
+        body: String!      # Comment text
+        author: User!      # User who wrote the comment
+        post: ID!          # Post the comment belongs to
+        parent: ID         # Comment this one replies to (null for top-level)
+        replies: [Comment!]! # Replies to a top-level comment, oldest first
+        createdAt: String!
+        updatedAt: String!
+    }
+
+    # Response type for paginated comments
+    type CommentData {
+        comments: [Comment!]!
+        totalComments: Int! # Number of top-level comments
     }
 
     # User type definition - represents a user account
     type User {
         _id: ID!           # Unique identifier (required)
         name: String!      # User's display name (required)
-        email: String!     # User's email address (required)
-        password: String   # User's hashed password (optional for security)
+        email: String      # User's email address, only shown to the user themselves
         status: String!    # User's status message (required)
+        role: Role!        # User's role (USER, MODERATOR or ADMIN)
         posts: [Post!]!    # Array of posts created by this user (required, non-nullable array)
+        followers: [User!]!   # Users following this user
+        following: [User!]!   # Users this user follows
+        followerCount: Int!
+        followingCount: Int!
     }
 
-    # Authentication data returned after successful login
+    # Which posts the posts query returns
+    enum FeedScope {
+        ALL          # Posts of every user
+        FOLLOWING    # Only posts of users the current user follows
+    }
+
+    # Sort orders of the posts query
+    enum PostSort {
+        NEWEST       # Most recently created first (default)
+        OLDEST       # Oldest first
+        UPDATED      # Most recently updated first
+        TITLE        # Alphabetically by title
+    }
+
+    # Narrows down the posts query; all fields are optional
+    input PostFilter {
+        creator: ID            # Only posts of this user
+        tag: String            # Only posts with this tag ('#' and case are ignored)
+        createdAfter: String   # ISO date, inclusive
+        createdBefore: String  # ISO date, exclusive
+        updatedAfter: String   # ISO date, inclusive
+        updatedBefore: String  # ISO date, exclusive
+    }
+
+    # A change made by a moderator or admin to a post they don't own
+    type ModerationAction {
+        _id: ID!
+        moderator: ID!     # User who performed the action
+        action: String!    # 'update', 'delete' (to the trash), 'restore' or 'purge'
+        post: ID!          # Affected post (may no longer exist)
+        postCreator: ID!   # Owner of the affected post
+        postTitle: String! # Post title at the time of the action
+        createdAt: String!
+    }
+
+    # Authentication data returned after successful login or token refresh
     type AuthData {
-        token: String!     # JWT authentication token (required)
-        userId: String!    # ID of the authenticated user (required)
+        token: String!                 # Short-lived JWT access token (required)
+        userId: String!                # ID of the authenticated user (required)
+        tokenExpiresAt: String!        # When the access token expires (ISO date)
+        refreshToken: String!          # Single-use token to obtain a new access token
+        refreshTokenExpiresAt: String! # When the refresh token expires (ISO date)
     }
 
     # Response type for posts query with pagination data
@@ -37,6 +188,52 @@ module.exports = buildSchema(`
         totalPosts: Int!   # Total number of posts for pagination (required)
     }
 
+    # One post in a connection with the cursor pointing at it
+    type PostEdge {
+        cursor: String!    # Opaque cursor, pass as after/before to continue
+        node: Post!
+    }
+
+    # Relay-style pagination info of a connection
+    type PageInfo {
+        hasNextPage: Boolean!
+        hasPreviousPage: Boolean!
+        startCursor: String # Cursor of the first edge (null if empty)
+        endCursor: String   # Cursor of the last edge (null if empty)
+    }
+
+    # Cursor-paginated list of posts, newest first
+    type PostConnection {
+        edges: [PostEdge!]!
+        pageInfo: PageInfo!
+        totalCount: Int!   # Number of posts in the feed scope
+    }
+
+    # What the search query looks for
+    enum SearchType {
+        ALL          # Posts and users
+        POSTS        # Posts by title and content
+        USERS        # Users by name
+    }
+
+    # A search hit is either a post or a user
+    union SearchResult = Post | User
+
+    # One search hit with its relevance and a highlighted excerpt
+    type SearchEdge {
+        cursor: String!    # Opaque cursor, pass as after to continue
+        score: Float!      # Relevance, higher is better
+        snippet: String!   # HTML-escaped excerpt, matches wrapped in <mark>
+        node: SearchResult!
+    }
+
+    # Ranked search results, best match first
+    type SearchConnection {
+        edges: [SearchEdge!]!
+        pageInfo: PageInfo!
+        totalCount: Int!   # Number of matching posts and users
+    }
+
     # Input type for user registration
     # Input types are used for complex arguments in mutations
     input UserInputData {
@@ -49,38 +246,123 @@ module.exports = buildSchema(`
     input PostInputData {
         title: String!     # Post title (required)
         content: String!   # Post content (required)
-        imageUrl: String!  # Image URL (required)
+        imageUrl: String   # Path of an image uploaded to /post-image (or pass image)
+        tags: [String!]    # Explicit tags; hashtags in the content are added automatically
+        status: PostStatus # Defaults to PUBLISHED (SCHEDULED if publishAt is set)
+        publishAt: String  # ISO date in the future, for scheduled posts
     }
 
     # Root Query type - defines all available read operations
     type RootQuery {
         # User authentication - returns token and user ID
         login(email: String!, password: String!): AuthData!
-        # Get paginated list of posts - page parameter for pagination
-        posts(page: Int): PostData!
+        # Get paginated list of posts - perPage is capped at 50 by the server
+        posts(page: Int, perPage: Int, sort: PostSort = NEWEST, filter: PostFilter, scope: FeedScope = ALL): PostData!
+        # Cursor-paginated posts: first/after pages to older posts, last/before to newer ones
+        postsConnection(first: Int, after: String, last: Int, before: String, scope: FeedScope = ALL): PostConnection!
+        # A single revision with its diff against the current version (creator or moderator)
+        postRevision(id: ID!): PostRevision! @auth
+        # Posts of the current user in the trash, last deleted first
+        myTrash(page: Int): PostData! @auth
+        # Drafts and scheduled posts of the current user, last edited first
+        myDrafts(page: Int): PostData! @auth
+        # Posts with a tag, newest first
+        postsByTag(tag: String!, page: Int, perPage: Int): PostData!
+        # Most used tags with their post counts
+        popularTags(limit: Int): [TagCount!]!
+        # Full-text search over posts and users, best match first
+        search(query: String!, type: SearchType = ALL, first: Int, after: String): SearchConnection!
         # Get single post by ID
         post(id: ID!): Post!
         # Get current user's information
         user: User!
+        # Recent moderation actions, newest first (moderators and admins)
+        moderationLog(page: Int): [ModerationAction!]! @auth(requires: MODERATOR)
     }
 
     # Root Mutation type - defines all available write operations
     type RootMutation {
         # Create a new user account
         createUser(userInput: UserInputData): User!
-        # Create a new post
-        createPost(postInput: PostInputData): Post!
-        # Update an existing post
-        updatePost(id: ID!, postInput: PostInputData): Post!
-        # Delete a post (returns boolean success/failure)
+        # Exchange a refresh token for new access and refresh tokens
+        refreshToken(refreshToken: String!): AuthData!
+        # Revoke the current session (or every session with allSessions: true)
+        logout(refreshToken: String, allSessions: Boolean): Boolean!
+        # Confirm an email address with the token from the verification email
+        verifyEmail(token: String!): Boolean!
+        # Send a new verification email (always returns true)
+        resendVerification(email: String!): Boolean!
+        # Email a single-use password reset link (always returns true)
+        requestPasswordReset(email: String!): Boolean!
+        # Set a new password with a token from the reset email
+        resetPassword(token: String!, newPassword: String!): Boolean!
+        # Create a new post; the image is uploaded with the mutation or
+        # given as postInput.imageUrl
+        createPost(postInput: PostInputData, image: Upload): Post!
+        # Update an existing post; a new image replaces the current one
+        updatePost(id: ID!, postInput: PostInputData, image: Upload): Post!
+        # Restore a post to an earlier version (creator only)
+        restorePostRevision(id: ID!): Post! @auth
+        # Publish a draft or scheduled post now (creator only)
+        publishPost(id: ID!): Post! @auth
+        # Move a post to the trash (returns boolean success/failure)
         deletePost(id: ID!): Boolean
+        # Take a post out of the trash (creator, or moderator if a moderator deleted it)
+        restorePost(id: ID!): Post! @auth
+        # Permanently delete a post from the trash, including its image
+        purgePost(id: ID!): Boolean! @auth
+        # Comment on a post, or reply to a top-level comment with parentId
+        addComment(postId: ID!, body: String!, parentId: ID): Comment! @auth
+        # Change a comment (author or moderator)
+        editComment(id: ID!, body: String!): Comment! @auth
+        # Delete a comment and its replies (author, post owner or moderator)
+        deleteComment(id: ID!): Boolean! @auth
+        # Follow a user (returns the followed user)
+        followUser(userId: ID!): User! @auth
+        # Stop following a user (returns the unfollowed user)
+        unfollowUser(userId: ID!): User! @auth
+        # React to a post; reacting again replaces the previous reaction
+        reactToPost(postId: ID!, type: ReactionType!): Post! @auth
+        # Remove the current user's reaction from a post
+        removeReaction(postId: ID!): Post! @auth
         # Update user's status message
         updateStatus(status: String!): User!
+        # Change the role of a user (admins only)
+        setUserRole(userId: ID!, role: Role!): User! @auth(requires: ADMIN)
+    }
+
+    # Root Subscription type - live events, served over WebSocket at /graphql
+    type RootSubscription {
+        # A post was created
+        postCreated: Post!
+        # A post was edited
+        postUpdated: Post!
+        # A post was deleted - yields the ID of the deleted post
+        postDeleted: ID!
     }
 
     # Schema definition - specifies the root types
     schema {
         query: RootQuery      # Entry point for read operations
         mutation: RootMutation # Entry point for write operations
+        subscription: RootSubscription # Entry point for live events
     }
 `);
+
+// Attach resolvers for object type fields (e.g. User.role)
+Object.keys(fieldResolvers).forEach(typeName => {
+  const fields = schema.getType(typeName).getFields();
+  Object.keys(fieldResolvers[typeName]).forEach(fieldName => {
+    fields[fieldName].resolve = fieldResolvers[typeName][fieldName];
+  });
+});
+
+// Upload values come from the multipart request (graphql-upload), not JSON
+Object.assign(schema.getType('Upload'), {
+  serialize: GraphQLUpload.serialize,
+  parseValue: GraphQLUpload.parseValue,
+  parseLiteral: GraphQLUpload.parseLiteral
+});
+
+// Enforce @auth after field resolvers are in place so they get wrapped too
+module.exports = applyAuthDirective(schema);
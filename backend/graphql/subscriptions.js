@@ -0,0 +1,112 @@
+// Import third-party packages
+const { parse, validate, specifiedRules } = require('graphql');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
+
+// Import application modules
+const { verifyAccessToken } = require('../util/token');
+const { formatError } = require('./errors');
+const createLoaders = require('./loaders');
+const { createLimitRule } = require('./limits');
+
+/**
+ * Resolve the auth info for a WebSocket connection
+ * The client sends its access token in the connection params, the same way
+ * it sends the Authorization header over HTTP:
+ *   { Authorization: 'Bearer <token>' }
+ *
+ * @param {Object} connectionParams - Params from the connection_init message
+ * @returns {Object|null} Request-like auth object, or null for an invalid token
+ */
+const authenticate = async connectionParams => {
+  const params = connectionParams || {};
+  const authHeader = params.Authorization || params.authorization;
+  if (!authHeader) {
+    return { isAuth: false };
+  }
+  const decodedToken = await verifyAccessToken(authHeader.split(' ')[1]);
+  if (!decodedToken) {
+    return null;
+  }
+  return {
+    isAuth: true,
+    userId: decodedToken.userId,
+    userRole: decodedToken.role || 'user',
+    sessionId: decodedToken.sid
+  };
+};
+
+/**
+ * Serve GraphQL over WebSocket (graphql-ws protocol) on the /graphql path
+ * of an existing HTTP server, mainly for subscriptions.
+ * Resolvers receive the same request-like context (isAuth, userId, ...)
+ * as over HTTP.
+ *
+ * @param {http.Server} server - Server returned by app.listen()
+ * @param {GraphQLSchema} schema - Executable schema
+ * @param {Object} rootValue - Root resolvers (same object as for HTTP)
+ * @returns {Object} graphql-ws server handle (dispose() to shut down)
+ */
+module.exports = (server, schema, rootValue) => {
+  const wsServer = new WebSocketServer({ server: server, path: '/graphql' });
+
+  return useServer(
+    {
+      schema: schema,
+      roots: { query: rootValue, mutation: rootValue, subscription: rootValue },
+      // Reject connections that present an invalid or revoked token
+      onConnect: async ctx => {
+        const auth = await authenticate(ctx.connectionParams);
+        return auth !== null;
+      },
+      // Validate with the same depth and cost limits as the HTTP endpoint
+      // Returning only the execution args lets the server inject the roots
+      // and the context as usual
+      onSubscribe: (ctx, message) => {
+        const payload = message.payload;
+        let document;
+        try {
+          document = parse(payload.query);
+        } catch (err) {
+          // Syntax errors are sent back as an error message, like
+          // validation errors
+          return [err];
+        }
+        const errors = validate(
+          schema,
+          document,
+          specifiedRules.concat(createLimitRule(payload.variables))
+        );
+        if (errors.length > 0) {
+          return errors;
+        }
+        return {
+          schema: schema,
+          document: document,
+          variableValues: payload.variables,
+          operationName: payload.operationName
+        };
+      },
+      // Re-check the token for every operation: connections outlive tokens
+      // A subscription reuses its context for every event, so loaders only
+      // batch (no cache) to keep later events from seeing stale documents
+      context: async ctx => {
+        const auth = await authenticate(ctx.connectionParams);
+        return {
+          ...(auth || { isAuth: false }),
+          // Client address, used for rate limiting like req.ip over HTTP
+          ip: ctx.extra.request.socket.remoteAddress,
+          loaders: createLoaders({ cache: false })
+        };
+      },
+      // Format errors the same way as the HTTP endpoint
+      onNext: (ctx, message, args, result) => {
+        if (result.errors) {
+          return { ...result, errors: result.errors.map(formatError) };
+        }
+      },
+      onError: (ctx, message, errors) => errors.map(formatError)
+    },
+    wsServer
+  );
+};
@@ -0,0 +1,59 @@
+// Import application modules
+const config = require('../config');
+const imageService = require('../services/image');
+
+/**
+ * Orphaned image job
+ * Deletes uploaded images that no post or revision refers to and that are
+ * older than uploads.orphanGraceHours, e.g. uploads never used in a post or
+ * left behind by a failed update. Runs at startup and then every INTERVAL.
+ * Use `npm run clean-images -- --dry-run` to see what would be deleted.
+ */
+
+// Time between two runs (ms)
+const INTERVAL = 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Delete orphaned images once
+ */
+const run = async () => {
+  try {
+    const deleted = await imageService.collectOrphanedImages();
+    if (deleted.length > 0) {
+      console.log(
+        'Deleted ' + deleted.length + ' image file(s) unused for more than ' +
+        config.uploads.orphanGraceHours + ' hours.'
+      );
+    }
+  } catch (err) {
+    console.log(err);
+  }
+};
+
+/**
+ * Start the job
+ * Call once after the database connection is established.
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(run, INTERVAL);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  run();
+};
+
+/**
+ * Stop the job
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Export job controls
+exports.start = start;
+exports.stop = stop;
@@ -0,0 +1,104 @@
+// Import application modules
+const postService = require('../services/post');
+const { pubsub, POST_SCHEDULED } = require('../graphql/pubsub');
+
+/**
+ * Publish scheduler
+ * Publishes scheduled posts once their publishAt time has come. The schedule
+ * lives in the database, so posts that became due while the server was down
+ * are published right after startup.
+ *
+ * A single timer is armed for the next scheduled post and re-armed whenever a
+ * post is scheduled. It never waits longer than MAX_DELAY, so posts scheduled
+ * through another server process are picked up as well.
+ */
+
+// Longest wait between two checks (ms)
+const MAX_DELAY = 60 * 1000;
+
+let timer = null;
+let running = false;      // A check is in progress
+let runAgain = false;     // A post was scheduled during the current check
+let subscriptionId = null;
+
+/**
+ * Run the next check after a delay
+ * @param {number} delay - Milliseconds to wait
+ */
+const arm = delay => {
+  clearTimeout(timer);
+  timer = setTimeout(check, Math.max(0, Math.min(delay, MAX_DELAY)));
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+};
+
+/**
+ * Publish due posts and wait for the next scheduled one
+ */
+const check = async () => {
+  timer = null;
+  running = true;
+  let delay = MAX_DELAY;
+  try {
+    const published = await postService.publishDuePosts();
+    if (published > 0) {
+      console.log('Published ' + published + ' scheduled post(s).');
+    }
+    const next = await postService.getNextPublishAt();
+    if (next) {
+      delay = next.getTime() - Date.now();
+    }
+  } catch (err) {
+    console.log(err);
+  }
+  running = false;
+
+  // stop() may have been called while the check was running
+  if (subscriptionId === null) {
+    return;
+  }
+  if (runAgain) {
+    runAgain = false;
+    delay = 0;
+  }
+  arm(delay);
+};
+
+/**
+ * Re-check right away (a post was scheduled or rescheduled)
+ */
+const wake = () => {
+  if (running) {
+    runAgain = true;
+  } else {
+    arm(0);
+  }
+};
+
+/**
+ * Start the scheduler
+ * Call once after the database connection is established.
+ */
+const start = async () => {
+  if (subscriptionId !== null) {
+    return;
+  }
+  subscriptionId = await pubsub.subscribe(POST_SCHEDULED, wake);
+  arm(0);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+  clearTimeout(timer);
+  timer = null;
+  if (subscriptionId !== null) {
+    pubsub.unsubscribe(subscriptionId);
+    subscriptionId = null;
+  }
+};
+
+// Export scheduler controls
+exports.start = start;
+exports.stop = stop;
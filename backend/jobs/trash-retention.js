@@ -0,0 +1,59 @@
+// Import application modules
+const config = require('../config');
+const postService = require('../services/post');
+
+/**
+ * Trash retention job
+ * Permanently deletes posts (with their images) that have been in the trash
+ * for longer than posts.trashRetentionDays. Runs at startup and then every
+ * INTERVAL; the deletion time is stored on the post, so restarts don't reset
+ * the retention period.
+ */
+
+// Time between two runs (ms)
+const INTERVAL = 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Purge expired posts once
+ */
+const run = async () => {
+  try {
+    const purged = await postService.purgeExpiredPosts();
+    if (purged > 0) {
+      console.log(
+        'Purged ' + purged + ' post(s) deleted more than ' +
+        config.posts.trashRetentionDays + ' days ago.'
+      );
+    }
+  } catch (err) {
+    console.log(err);
+  }
+};
+
+/**
+ * Start the job
+ * Call once after the database connection is established.
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(run, INTERVAL);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  run();
+};
+
+/**
+ * Stop the job
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Export job controls
+exports.start = start;
+exports.stop = stop;
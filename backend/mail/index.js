@@ -0,0 +1,52 @@
+// Import Node.js core modules
+const path = require('path');
+
+// Import application modules
+const config = require('../config');
+const createSmtpTransport = require('./transports/smtp');
+const createFileTransport = require('./transports/file');
+
+/**
+ * Create the transport selected in configuration
+ * Every transport exposes the same interface: send(message) => Promise
+ * @returns {Object} Mail transport
+ */
+const createTransport = () => {
+  switch (config.mail.transport) {
+    case 'smtp':
+      return createSmtpTransport(config.mail.smtp);
+    case 'file':
+      return createFileTransport({
+        dir: path.resolve(__dirname, '..', config.mail.fileDir)
+      });
+    default:
+      return createFileTransport();
+  }
+};
+
+// Active transport, created lazily on first use
+let transport;
+
+/**
+ * Replace the active transport (e.g. with a stub in tests)
+ * @param {Object} customTransport - Object with a send(message) method
+ */
+const setTransport = customTransport => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport specific delivery info
+ */
+const sendMail = message => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport.send({ from: config.mail.from, ...message });
+};
+
+// Export mailer functions
+exports.sendMail = sendMail;
+exports.setTransport = setTransport;
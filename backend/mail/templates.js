@@ -0,0 +1,67 @@
+// Import application configuration (frontend URL for links)
+const config = require('../config');
+const { escapeHtml } = require('../util/html');
+
+/**
+ * Build a link into the frontend application
+ * @param {string} route - Route path, e.g. '/reset-password'
+ * @param {string} token - Token passed as query parameter
+ * @returns {string} Absolute URL
+ */
+const clientLink = (route, token) => {
+  return config.app.clientUrl + route + '?token=' + encodeURIComponent(token);
+};
+
+/**
+ * Email address verification email
+ * @param {Object} user - Recipient user document
+ * @param {string} token - Plain verification token
+ * @returns {Object} Message with to, subject, text and html
+ */
+exports.emailVerification = (user, token) => {
+  const link = clientLink('/verify-email', token);
+  const hours = config.auth.emailVerificationTtlHours;
+  return {
+    to: user.email,
+    subject: 'Confirm your email address',
+    text:
+      'Hi ' + user.name + ',\n\n' +
+      'Please confirm your email address by opening the link below. ' +
+      'It expires in ' + hours + ' hours.\n\n' +
+      link + '\n\n' +
+      'If you did not create an account, you can ignore this email.',
+    html:
+      '<p>Hi ' + escapeHtml(user.name) + ',</p>' +
+      '<p>Please confirm your email address by opening the link below. ' +
+      'It expires in ' + hours + ' hours.</p>' +
+      '<p><a href="' + link + '">Confirm email address</a></p>' +
+      '<p>If you did not create an account, you can ignore this email.</p>'
+  };
+};
+
+/**
+ * Password reset email
+ * @param {Object} user - Recipient user document
+ * @param {string} token - Plain reset token
+ * @returns {Object} Message with to, subject, text and html
+ */
+exports.passwordReset = (user, token) => {
+  const link = clientLink('/reset-password', token);
+  const minutes = config.auth.passwordResetTtlMinutes;
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text:
+      'Hi ' + user.name + ',\n\n' +
+      'Use the link below to choose a new password. It expires in ' +
+      minutes + ' minutes and can only be used once.\n\n' +
+      link + '\n\n' +
+      'If you did not request a password reset, you can ignore this email.',
+    html:
+      '<p>Hi ' + escapeHtml(user.name) + ',</p>' +
+      '<p>Use the link below to choose a new password. It expires in ' +
+      minutes + ' minutes and can only be used once.</p>' +
+      '<p><a href="' + link + '">Reset password</a></p>' +
+      '<p>If you did not request a password reset, you can ignore this email.</p>'
+  };
+};
@@ -0,0 +1,36 @@
+// Import Node.js core modules
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * File / console mail transport
+ * Used locally and in tests instead of a real mail server.
+ * With a directory, every message is written as a JSON file that tests can
+ * read back; without one, messages are printed to the console.
+ *
+ * @param {Object} options - { dir } target directory (optional)
+ * @returns {Object} Transport with a send(message) method
+ */
+module.exports = (options = {}) => {
+  return {
+    name: options.dir ? 'file' : 'console',
+    /**
+     * Store or print a message
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} { path } of the written file, if any
+     */
+    send: async message => {
+      const entry = { ...message, date: new Date().toISOString() };
+      if (!options.dir) {
+        console.log('[mail] To: ' + entry.to + '\n[mail] Subject: ' + entry.subject + '\n' + entry.text);
+        return {};
+      }
+      await fs.promises.mkdir(options.dir, { recursive: true });
+      const fileName =
+        Date.now() + '-' + Math.random().toString(36).slice(2, 8) + '.json';
+      const filePath = path.join(options.dir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(entry, null, 2));
+      return { path: filePath };
+    }
+  };
+};
@@ -0,0 +1,29 @@
+// Import third-party packages
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport
+ * Sends messages through a real SMTP server using nodemailer.
+ *
+ * @param {Object} options - SMTP settings (host, port, secure, user, pass)
+ * @returns {Object} Transport with a send(message) method
+ */
+module.exports = options => {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    // Only authenticate when credentials are configured
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    /**
+     * Send a message
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} nodemailer delivery info
+     */
+    send: message => transporter.sendMail(message)
+  };
+};
@@ -1,48 +1,48 @@
-// Import JWT library for token verification
-const jwt = require('jsonwebtoken');
+// Import access token verification (signature, expiry and session revocation)
+const { verifyAccessToken } = require('../util/token');
 
 /**
  * Authentication middleware for Express
  * This middleware checks for JWT tokens in the Authorization header
- * and sets authentication status on the request object
- * 
+ * and sets authentication status on the request object.
+ * Tokens whose session was revoked (logout, refresh token reuse) are rejected.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   // Get Authorization header from request
   const authHeader = req.get('Authorization');
-  
+
   // If no Authorization header is present, mark as not authenticated
   if (!authHeader) {
     req.isAuth = false;
     return next();
   }
-  
+
   // Extract token from "Bearer <token>" format
   // Split by space and take the second part (the actual token)
   const token = authHeader.split(' ')[1];
   let decodedToken;
-  
+
   try {
-    // Verify and decode the JWT token using the secret key
-    // This will throw an error if token is invalid or expired
-    decodedToken = jwt.verify(token, 'somesupersecretsecret');
+    // Verify the token and check that its session is still active
+    decodedToken = await verifyAccessToken(token);
   } catch (err) {
-    // If token verification fails, mark as not authenticated
-    req.isAuth = false;
-    return next();
+    return next(err);
   }
-  
-  // If token couldn't be decoded (shouldn't happen if verify succeeded)
+
+  // Invalid, expired or revoked tokens are treated as not authenticated
   if (!decodedToken) {
     req.isAuth = false;
     return next();
   }
-  
-  // Token is valid - extract user ID and set authentication status
+
+  // Token is valid - extract user, role and session ID and set authentication status
   req.userId = decodedToken.userId;
+  req.userRole = decodedToken.role || 'user';
+  req.sessionId = decodedToken.sid;
   req.isAuth = true;
   next();
 };
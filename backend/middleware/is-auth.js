@@ -0,0 +1,16 @@
+/**
+ * Guard middleware for REST routes that require a logged in user
+ * Relies on middleware/auth.js having set req.isAuth for the request.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+module.exports = (req, res, next) => {
+  if (!req.isAuth) {
+    const error = new Error('Not authenticated.');
+    error.statusCode = 401;
+    return next(error);
+  }
+  next();
+};
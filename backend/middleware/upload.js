@@ -0,0 +1,53 @@
+// Import third-party packages
+const multer = require('multer');
+
+// Import application modules
+const config = require('../config');
+const { fileTooLarge } = require('../util/image');
+
+// Keep uploads in memory: their content is checked before anything is
+// written to disk (see util/image.js saveImage), and the size limit keeps
+// the buffer small
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.uploads.maxFileSize, files: 1 }
+}).single('image');
+
+/**
+ * Convert a multer error into a response error with status and details
+ * @param {Error} err - Error raised by multer
+ * @returns {Error} Error with statusCode and data
+ */
+const toUploadError = err => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    const error = fileTooLarge();
+    error.statusCode = error.code;
+    return error;
+  }
+  if (err instanceof multer.MulterError) {
+    const error = new Error('Invalid upload.');
+    error.data = [{ message: 'Send a single image in the "image" field.' }];
+    error.statusCode = 400;
+    return error;
+  }
+  return err;
+};
+
+/**
+ * Upload middleware for Express
+ * Parses multipart requests and exposes the file in the "image" field as
+ * req.file ({ buffer, size, ... }); oversized or malformed uploads are
+ * rejected with a clear error.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+module.exports = (req, res, next) => {
+  upload(req, res, err => {
+    if (err) {
+      return next(toUploadError(err));
+    }
+    next();
+  });
+};
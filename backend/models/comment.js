@@ -0,0 +1,45 @@
+// Import Mongoose for MongoDB object modeling
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Comment Schema Definition
+ * Comments belong to a post. A comment may reply to a top-level comment of
+ * the same post (one level of threading); replies can't be replied to.
+ */
+const commentSchema = new Schema(
+  {
+    // User who wrote the comment
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Post the comment belongs to
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    // Top-level comment this one replies to (null for top-level comments)
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null
+    },
+    // Comment text
+    body: {
+      type: String,
+      required: true
+    }
+  },
+  {
+    timestamps: true // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Top-level comments of a post and replies of a comment, both in creation order
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+
+// Export the Comment model based on the schema
+module.exports = mongoose.model('Comment', commentSchema);
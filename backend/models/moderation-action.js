@@ -0,0 +1,48 @@
+// Import Mongoose for MongoDB object modeling
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Moderation Action Schema Definition
+ * Records every change a moderator or admin makes to content they don't own,
+ * so the action stays attributed to them even after the post is gone.
+ */
+const moderationActionSchema = new Schema(
+  {
+    // Moderator or admin who performed the action
+    moderator: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // What was done to the post
+    action: {
+      type: String,
+      enum: ['update', 'delete', 'restore', 'purge'],
+      required: true
+    },
+    // Affected post (may no longer exist after a delete)
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    // Owner of the affected post
+    postCreator: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Post title at the time of the action, kept for deleted posts
+    postTitle: {
+      type: String,
+      required: true
+    }
+  },
+  {
+    timestamps: true // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Export the ModerationAction model based on the schema
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -0,0 +1,52 @@
+// Import Mongoose for MongoDB object modeling
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Post Revision Schema Definition
+ * A snapshot of a post's editable fields taken before each update, so earlier
+ * versions can be compared and restored.
+ */
+const postRevisionSchema = new Schema(
+  {
+    // Post the revision belongs to
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    // User whose update replaced this version (creator or moderator)
+    editor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Field values before the update
+    title: {
+      type: String,
+      required: true
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    imageUrl: {
+      type: String,
+      required: true
+    },
+    tags: [
+      {
+        type: String
+      }
+    ]
+  },
+  {
+    timestamps: true // createdAt is the time of the update
+  }
+);
+
+// Revisions are listed per post, newest first
+postRevisionSchema.index({ post: 1, createdAt: -1 });
+
+// Export the PostRevision model based on the schema
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
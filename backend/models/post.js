@@ -2,6 +2,18 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Import the list of available reaction types
+const { REACTION_TYPES } = require('../util/reactions');
+
+// Lifecycle of a post: only published posts are visible to other users
+const POST_STATUSES = ['draft', 'scheduled', 'published'];
+
+// Per-type reaction totals, e.g. { like: 3, love: 1, ... }
+const reactionCounts = {};
+REACTION_TYPES.forEach(type => {
+  reactionCounts[type] = { type: Number, default: 0 };
+});
+
 /**
  * Post Schema Definition
  * Defines the structure and validation rules for post documents in MongoDB
@@ -19,6 +31,14 @@ const postSchema = new Schema(
       type: String,
       required: true
     },
+    // Dimensions of the original image and its resized variants
+    // (unset for posts created before images were resized)
+    image: {
+      width: Number,
+      height: Number,
+      thumbnailUrl: String,
+      mediumUrl: String
+    },
     // Post content/body text - required field
     content: {
       type: String,
@@ -30,13 +50,106 @@ const postSchema = new Schema(
       type: Schema.Types.ObjectId,  // MongoDB ObjectId type
       ref: 'User',                  // References the User model
       required: true                // Every post must have a creator
-    }
+    },
+    // Draft, scheduled or published
+    // Posts created before drafts existed have no status and count as published
+    status: {
+      type: String,
+      enum: POST_STATUSES,
+      default: 'published'
+    },
+    // When a scheduled post goes live (the publish time once published)
+    publishAt: {
+      type: Date
+    },
+    // When the post was moved to the trash (unset for live posts)
+    deletedAt: {
+      type: Date
+    },
+    // User who moved the post to the trash (creator or moderator)
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Normalized tags: explicit tags plus hashtags from the content
+    tags: [
+      {
+        type: String
+      }
+    ],
+    // User who last edited this post (the creator or a moderator)
+    lastEditedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Reaction totals, maintained by the reaction service
+    reactionCounts: reactionCounts
   },
   { 
     timestamps: true  // Automatically adds createdAt and updatedAt fields
   }
 );
 
+// Keyset index for cursor pagination (newest first, _id breaks ties)
+postSchema.index({ createdAt: -1, _id: -1 });
+
+// Indexes for the sort orders and the creator filter of the posts query
+postSchema.index({ updatedAt: -1, _id: -1 });
+postSchema.index({ title: 1, _id: 1 });
+postSchema.index({ creator: 1, createdAt: -1 });
+
+// Multikey index for browsing posts by tag and counting tags
+postSchema.index({ tags: 1, createdAt: -1 });
+
+// Full-text search index; title matches rank above content matches
+postSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 5, content: 1 }, name: 'post_text' }
+);
+
+// Index for finding scheduled posts that are due
+postSchema.index({ status: 1, publishAt: 1 });
+
+// Index for listing a user's drafts
+postSchema.index({ creator: 1, status: 1, updatedAt: -1 });
+
+// Indexes for listing a user's trash and purging expired posts
+postSchema.index({ creator: 1, deletedAt: -1 });
+postSchema.index({ deletedAt: 1 }, { sparse: true });
+
+/**
+ * Filter matching posts that are visible to everyone:
+ * published and not in the trash
+ * @returns {Object} Filter for Post.find()
+ */
+postSchema.statics.visibleFilter = function() {
+  return { status: { $nin: ['draft', 'scheduled'] }, deletedAt: null };
+};
+
+/**
+ * Whether the post is published (it may still be in the trash)
+ * @returns {boolean}
+ */
+postSchema.methods.isPublished = function() {
+  return this.status !== 'draft' && this.status !== 'scheduled';
+};
+
+/**
+ * Whether the post is in the trash
+ * @returns {boolean}
+ */
+postSchema.methods.isDeleted = function() {
+  return !!this.deletedAt;
+};
+
+/**
+ * Whether the post is visible to everyone
+ * @returns {boolean}
+ */
+postSchema.methods.isVisible = function() {
+  return this.isPublished() && !this.isDeleted();
+};
+
 // Export the Post model based on the schema
 // This creates a model that can be used to interact with the 'posts' collection
 module.exports = mongoose.model('Post', postSchema);
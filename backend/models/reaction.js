@@ -0,0 +1,45 @@
+// Import Mongoose for MongoDB object modeling
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Import the list of available reaction types
+const { REACTION_TYPES } = require('../util/reactions');
+
+/**
+ * Reaction Schema Definition
+ * A user has at most one reaction per post; reacting again changes its type.
+ * Per-type totals are kept on the post (Post.reactionCounts) so listing posts
+ * doesn't need to count reactions.
+ */
+const reactionSchema = new Schema(
+  {
+    // User who reacted
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Post the reaction belongs to
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    // Kind of reaction
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      required: true
+    }
+  },
+  {
+    timestamps: true // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// One reaction per user and post; also serves lookups of a user's reactions
+reactionSchema.index({ user: 1, post: 1 }, { unique: true });
+reactionSchema.index({ post: 1 });
+
+// Export the Reaction model based on the schema
+module.exports = mongoose.model('Reaction', reactionSchema);
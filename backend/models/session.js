@@ -0,0 +1,62 @@
+// Import Mongoose for MongoDB object modeling
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Session Schema Definition
+ * A session is created on login and backs one rotating refresh token.
+ * Access tokens carry the session id, so revoking a session invalidates
+ * every access token issued for it as well.
+ * Only SHA-256 hashes of refresh tokens are stored, never the tokens themselves.
+ */
+const sessionSchema = new Schema(
+  {
+    // User this session belongs to
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    // Hash of the refresh token that is currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Hashes of refresh tokens that were already rotated out
+    // Presenting one of these again means the token leaked, so the
+    // whole session is revoked
+    rotatedTokenHashes: {
+      type: [String],
+      index: true
+    },
+    // When the current refresh token stops being accepted
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    // Set when the session was ended by logout or reuse detection
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether this session can still be used to authenticate requests
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Export the Session model based on the schema
+module.exports = mongoose.model('Session', sessionSchema);
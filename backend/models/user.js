@@ -2,6 +2,9 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Import the list of available roles
+const { ROLES } = require('../util/roles');
+
 /**
  * User Schema Definition
  * Defines the structure and validation rules for user documents in MongoDB
@@ -27,6 +30,56 @@ const userSchema = new Schema({
     type: String,
     default: 'I am new!'
   },
+  // User's role - controls moderation and admin privileges
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // Whether the user confirmed their email address
+  // No default on purpose: accounts created before verification existed
+  // have no value and are treated as verified (see isEmailVerified)
+  emailVerified: Boolean,
+  // SHA-256 hash of the pending email verification token
+  emailVerificationTokenHash: {
+    type: String,
+    index: true
+  },
+  // When the pending email verification token stops being accepted
+  emailVerificationExpiresAt: Date,
+  // SHA-256 hash of the pending password reset token (never the token itself)
+  passwordResetTokenHash: {
+    type: String,
+    index: true
+  },
+  // When the pending password reset token stops being accepted
+  passwordResetExpiresAt: Date,
+  // Wrong passwords entered in a row since the last lockout or login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts since the last successful login; each one lasts twice as long
+  loginLockouts: {
+    type: Number,
+    default: 0
+  },
+  // Login is refused until this time
+  lockedUntil: Date,
+  // Users this user follows
+  following: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
+  // Users following this user (kept in sync with their `following`)
+  followers: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
   // Array of references to posts created by this user
   // Uses ObjectId references to Post documents for relational data
   posts: [
@@ -37,6 +90,26 @@ const userSchema = new Schema({
   ]
 });
 
+/**
+ * Whether the user may act as a verified account
+ * Only accounts explicitly created as unverified are treated as unverified
+ * @returns {boolean}
+ */
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
+/**
+ * Whether login is currently refused after too many wrong passwords
+ * @returns {boolean}
+ */
+userSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+// Full-text search index for finding users by name
+userSchema.index({ name: 'text' }, { name: 'user_text' });
+
 // Export the User model based on the schema
 // This creates a model that can be used to interact with the 'users' collection
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,140 @@
+// Import application modules
+const config = require('../config');
+const createMemoryStore = require('./stores/memory');
+const { httpStatus } = require('../util/http');
+
+/**
+ * Rate limiting
+ * Every limited operation has a budget of requests per time window, counted
+ * separately per client IP and, for authenticated requests, per user.
+ * Used by the GraphQL resolvers (consume) and the REST routes (limit), so
+ * both APIs share the same counters.
+ *
+ * Counters live in a store with this interface:
+ *   increment(key, windowMs) => Promise<{ count, resetAt }>
+ *   reset(key) => Promise
+ */
+
+const MINUTE = 60 * 1000;
+
+// Requests allowed per window, per IP and per user
+const BUDGETS = {
+  login: {
+    ip: { limit: 20, windowMs: 15 * MINUTE }
+  },
+  createUser: {
+    ip: { limit: 5, windowMs: 60 * MINUTE }
+  },
+  createPost: {
+    ip: { limit: 30, windowMs: 60 * MINUTE },
+    user: { limit: 10, windowMs: 10 * MINUTE }
+  },
+  uploadImage: {
+    ip: { limit: 60, windowMs: 60 * MINUTE },
+    user: { limit: 20, windowMs: 10 * MINUTE }
+  }
+};
+
+/**
+ * Create the store selected in configuration
+ * @returns {Object} Rate limit store
+ */
+const createStore = () => {
+  switch (config.rateLimit.store) {
+    default:
+      return createMemoryStore();
+  }
+};
+
+// Active store, created lazily on first use
+let store;
+
+/**
+ * Replace the active store (e.g. with a shared store or a stub in tests)
+ * @param {Object} customStore - Object with increment() and reset() methods
+ */
+const setStore = customStore => {
+  store = customStore;
+};
+
+/**
+ * Build the 429 error for a used up budget
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @returns {Error}
+ */
+const tooManyRequests = retryAfter => {
+  const error = new Error('Too many requests.');
+  error.data = [
+    { message: 'Please try again in ' + retryAfter + ' seconds.' }
+  ];
+  error.code = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Count a request against the budget of an operation
+ * @param {string} operation - Key of BUDGETS, e.g. 'login'
+ * @param {Object} client - { ip, userId } of the request (either may be missing)
+ * @throws {Error} 429 with retryAfter (seconds) when a budget is used up
+ */
+const consume = async (operation, client) => {
+  if (!config.rateLimit.enabled) {
+    return;
+  }
+  if (!store) {
+    store = createStore();
+  }
+
+  const budget = BUDGETS[operation];
+  const ids = { ip: client.ip, user: client.userId };
+  let retryAfter = 0;
+  for (const scope of Object.keys(budget)) {
+    if (!ids[scope]) {
+      continue;
+    }
+    const counter = await store.increment(
+      operation + ':' + scope + ':' + ids[scope],
+      budget[scope].windowMs
+    );
+    if (counter.count > budget[scope].limit) {
+      const seconds = Math.ceil((counter.resetAt - Date.now()) / 1000);
+      retryAfter = Math.max(retryAfter, seconds, 1);
+    }
+  }
+
+  if (retryAfter > 0) {
+    throw tooManyRequests(retryAfter);
+  }
+};
+
+/**
+ * Build the client passed to consume() from a request
+ * @param {Object} req - Express request or WebSocket context (auth info and ip)
+ * @returns {Object} { ip, userId }
+ */
+const clientFrom = req => {
+  return { ip: req.ip, userId: req.isAuth ? req.userId : null };
+};
+
+/**
+ * Express middleware enforcing the budget of an operation
+ * Responds 429 with a Retry-After header through the error handler
+ * @param {string} operation - Key of BUDGETS
+ * @returns {Function} Express middleware
+ */
+const limit = operation => (req, res, next) => {
+  consume(operation, clientFrom(req))
+    .then(() => next())
+    .catch(err => {
+      err.statusCode = httpStatus(err);
+      next(err);
+    });
+};
+
+// Export rate limit functions
+exports.BUDGETS = BUDGETS;
+exports.setStore = setStore;
+exports.consume = consume;
+exports.clientFrom = clientFrom;
+exports.limit = limit;
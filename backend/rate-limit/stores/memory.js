@@ -0,0 +1,54 @@
+/**
+ * In-memory rate limit store
+ * Keeps fixed-window counters in a Map. Counters are lost on restart and
+ * aren't shared between server instances; run a shared store (e.g. Redis)
+ * behind the same interface when the API is scaled out.
+ *
+ * @param {Object} options - { sweepIntervalMs } how often expired counters
+ *                           are dropped (optional, defaults to one minute)
+ * @returns {Object} Store with increment(key, windowMs) and reset(key)
+ */
+module.exports = (options = {}) => {
+  const counters = new Map();
+
+  // Drop expired counters so the map doesn't grow with every client seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  }, options.sweepIntervalMs || 60 * 1000);
+  // Don't keep the process alive just for the sweep
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    /**
+     * Count a hit; starts a new window when the previous one has ended
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Length of a window in milliseconds
+     * @returns {Promise<Object>} { count, resetAt } hits in the current
+     *                            window and when it ends (ms timestamp)
+     */
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    /**
+     * Forget a counter
+     * @param {string} key - Counter key
+     * @returns {Promise}
+     */
+    reset: async key => {
+      counters.delete(key);
+    }
+  };
+};
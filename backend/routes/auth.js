@@ -0,0 +1,66 @@
+const express = require('express');
+const { body } = require('express-validator/check');
+
+const authController = require('../controllers/auth');
+const isAuth = require('../middleware/is-auth');
+const rateLimit = require('../rate-limit');
+
+const router = express.Router();
+
+// PUT /auth/signup
+router.put(
+  '/signup',
+  rateLimit.limit('createUser'),
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Please enter a valid email.'),
+    body('password')
+      .trim()
+      .isLength({ min: 5 }),
+    body('name')
+      .trim()
+      .not()
+      .isEmpty()
+  ],
+  authController.signup
+);
+
+// POST /auth/login
+router.post('/login', rateLimit.limit('login'), authController.login);
+
+// POST /auth/refresh
+router.post('/refresh', authController.refresh);
+
+// POST /auth/logout
+router.post('/logout', authController.logout);
+
+// POST /auth/verify-email
+router.post('/verify-email', authController.verifyEmail);
+
+// POST /auth/resend-verification
+router.post('/resend-verification', authController.resendVerification);
+
+// POST /auth/password-reset
+router.post('/password-reset', authController.requestPasswordReset);
+
+// PUT /auth/password-reset
+router.put('/password-reset', authController.resetPassword);
+
+// GET /auth/status
+router.get('/status', isAuth, authController.getUserStatus);
+
+// PATCH /auth/status
+router.patch(
+  '/status',
+  isAuth,
+  [
+    body('status')
+      .trim()
+      .not()
+      .isEmpty()
+  ],
+  authController.updateUserStatus
+);
+
+module.exports = router;
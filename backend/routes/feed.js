@@ -0,0 +1,62 @@
+const express = require('express');
+const { body } = require('express-validator/check');
+
+const feedController = require('../controllers/feed');
+const isAuth = require('../middleware/is-auth');
+const upload = require('../middleware/upload');
+const rateLimit = require('../rate-limit');
+
+const router = express.Router();
+
+// Same rules as the post service applies for GraphQL
+const postValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 5 }),
+  body('content')
+    .trim()
+    .isLength({ min: 5 })
+];
+
+// Requests that may carry an image (multipart forms) count against the
+// upload budget before they are parsed, like uploads through GraphQL
+const uploadLimit = rateLimit.limit('uploadImage');
+const limitUploads = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+  uploadLimit(req, res, next);
+};
+
+// GET /feed/posts
+router.get('/posts', isAuth, feedController.getPosts);
+
+// POST /feed/post
+// The image is only parsed once the request passed auth and rate limiting
+router.post(
+  '/post',
+  isAuth,
+  rateLimit.limit('createPost'),
+  limitUploads,
+  upload,
+  postValidation,
+  feedController.createPost
+);
+
+// GET /feed/post/:postId
+router.get('/post/:postId', isAuth, feedController.getPost);
+
+// PUT /feed/post/:postId
+router.put(
+  '/post/:postId',
+  isAuth,
+  limitUploads,
+  upload,
+  postValidation,
+  feedController.updatePost
+);
+
+// DELETE /feed/post/:postId
+router.delete('/post/:postId', isAuth, feedController.deletePost);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// Command line tool to delete images no post refers to (see
+// jobs/orphaned-images.js); --dry-run only lists them:
+//   npm run clean-images -- --dry-run
+
+// Import third-party packages
+const mongoose = require('mongoose');
+
+// Import application modules
+const config = require('../config');
+const imageService = require('../services/image');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+if (args.some(arg => arg !== '--dry-run')) {
+  console.log('Usage: npm run clean-images -- [--dry-run]');
+  process.exit(1);
+}
+
+mongoose
+  .connect(config.db.uri)
+  .then(async () => {
+    const orphaned = await imageService.collectOrphanedImages({
+      dryRun: dryRun
+    });
+    orphaned.forEach(file => {
+      console.log(file.key + '  ' + file.lastModified.toISOString());
+    });
+    console.log(
+      (dryRun ? 'Would delete ' : 'Deleted ') + orphaned.length +
+      ' image file(s) unused for more than ' +
+      config.uploads.orphanGraceHours + ' hours.'
+    );
+  })
+  .catch(err => {
+    console.log(err.message);
+    process.exitCode = 1;
+  })
+  .then(() => mongoose.disconnect());
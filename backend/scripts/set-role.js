@@ -0,0 +1,37 @@
+// Command line tool to change a user's role, e.g. to create the first admin:
+//   npm run set-role -- user@example.com admin
+
+// Import third-party packages
+const mongoose = require('mongoose');
+
+// Import application modules
+const config = require('../config');
+const User = require('../models/user');
+const { ROLES } = require('../util/roles');
+const { revokeSessions } = require('../util/token');
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.log('Usage: npm run set-role -- <email> <' + ROLES.join('|') + '>');
+  process.exit(1);
+}
+
+mongoose
+  .connect(config.db.uri)
+  .then(async () => {
+    const user = await User.findOne({ email: email });
+    if (!user) {
+      throw new Error('No user found with email ' + email);
+    }
+    user.role = role;
+    await user.save();
+    // Existing tokens still carry the old role, so force a new login
+    await revokeSessions({ userId: user._id });
+    console.log('Role of ' + email + ' set to ' + role + '.');
+  })
+  .catch(err => {
+    console.log(err.message);
+    process.exitCode = 1;
+  })
+  .then(() => mongoose.disconnect());
@@ -0,0 +1,403 @@
+// Import required packages for authentication and validation
+const bcrypt = require('bcryptjs');        // For password hashing and comparison
+const validator = require('validator');     // For input validation (email, length, etc.)
+
+// Import application modules
+const config = require('../config');
+const User = require('../models/user');
+const {
+  hashToken,
+  generateToken,
+  issueAuthData,
+  rotateRefreshToken,
+  revokeSessions
+} = require('../util/token');
+const { sendMail } = require('../mail');
+const mailTemplates = require('../mail/templates');
+
+/**
+ * Authentication service
+ * Account and session logic shared by the GraphQL resolvers and the REST
+ * controllers. Functions throw errors with a `code` (HTTP status) and
+ * optional `data` (validation messages).
+ */
+
+/**
+ * Throw a 422 error if the given email address is invalid
+ * @param {string} email - Email address to check
+ */
+const validateEmail = email => {
+  if (!validator.isEmail(email || '')) {
+    const error = new Error('Invalid input.');
+    error.data = [{ message: 'E-Mail is invalid.' }];
+    error.code = 422;
+    throw error;
+  }
+};
+
+/**
+ * Create a new email verification token for a user and mail it
+ * Any previously sent verification link stops working
+ * @param {Object} user - Unverified user document
+ */
+const sendVerificationEmail = async user => {
+  const token = generateToken();
+  user.emailVerificationTokenHash = hashToken(token);
+  user.emailVerificationExpiresAt = new Date(
+    Date.now() + config.auth.emailVerificationTtlHours * 60 * 60 * 1000
+  );
+  await user.save();
+  await sendMail(mailTemplates.emailVerification(user, token));
+};
+
+/**
+ * Reject unverified accounts when email verification is enforced
+ * @param {Object} user - User document
+ * @throws {Error} 403 if the user's email address isn't verified yet
+ */
+const requireVerifiedEmail = user => {
+  if (config.auth.requireEmailVerification && !user.isEmailVerified()) {
+    const error = new Error('Email address is not verified.');
+    error.code = 403;
+    throw error;
+  }
+};
+
+// Upper bound for a single lockout, however often it was repeated
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the 429 error for a locked account
+ * @param {Object} user - Locked user document
+ * @returns {Error}
+ */
+const accountLocked = user => {
+  const retryAfter = Math.ceil((user.lockedUntil - Date.now()) / 1000);
+  const error = new Error('Account is locked after too many failed logins.');
+  error.data = [
+    { message: 'Please try again in ' + retryAfter + ' seconds.' }
+  ];
+  error.code = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Record a wrong password and lock the account once too many were entered
+ * in a row. Every lockout before the next successful login lasts twice as
+ * long as the previous one.
+ * Both steps are single atomic updates, so parallel login attempts can't
+ * lose failures or lock the account twice.
+ * @param {Object} user - User document
+ */
+const recordFailedLogin = async user => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < config.auth.maxFailedLogins) {
+    return;
+  }
+  const duration =
+    config.auth.lockoutMinutes * 60 * 1000 * Math.pow(2, updated.loginLockouts);
+  // Only the first request to get here finds the count still over the limit
+  await User.updateOne(
+    {
+      _id: user._id,
+      failedLoginAttempts: { $gte: config.auth.maxFailedLogins }
+    },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockedUntil: new Date(Date.now() + Math.min(duration, MAX_LOCKOUT_MS))
+      },
+      $inc: { loginLockouts: 1 }
+    }
+  );
+};
+
+/**
+ * Create a new user account (registration)
+ * @param {Object} userInput - Contains email, name, and password
+ * @returns {Object} Created user document
+ */
+const createUser = async userInput => {
+  // Input validation array to collect any validation errors
+  const errors = [];
+
+  // Validate email format using validator library
+  if (!validator.isEmail(userInput.email || '')) {
+    errors.push({ message: 'E-Mail is invalid.' });
+  }
+
+  // Validate password length and ensure it's not empty
+  if (
+    validator.isEmpty(userInput.password || '') ||
+    !validator.isLength(userInput.password, { min: 5 })
+  ) {
+    errors.push({ message: 'Password too short!' });
+  }
+
+  // If validation errors exist, throw error with details
+  if (errors.length > 0) {
+    const error = new Error('Invalid input.');
+    error.data = errors;
+    error.code = 422;
+    throw error;
+  }
+
+  // Check if user already exists with this email
+  const existingUser = await User.findOne({ email: userInput.email });
+  if (existingUser) {
+    const error = new Error('User exists already!');
+    error.code = 422;
+    throw error;
+  }
+
+  // Hash the password for secure storage (salt rounds: 12)
+  const hashedPw = await bcrypt.hash(userInput.password, 12);
+
+  // Create new user instance with hashed password
+  // Accounts start unverified until the emailed link is opened
+  const user = new User({
+    email: userInput.email,
+    name: userInput.name,
+    password: hashedPw,
+    emailVerified: false
+  });
+
+  // Save user to database
+  const createdUser = await user.save();
+
+  // Send the verification link
+  // A mail failure doesn't fail the signup: the account exists either way,
+  // and resendVerification sends a new link
+  try {
+    await sendVerificationEmail(createdUser);
+  } catch (err) {
+    console.log(err);
+  }
+
+  return createdUser;
+};
+
+/**
+ * User login authentication
+ * @param {string} email - User's email address
+ * @param {string} password - User's plain text password
+ * @returns {Object} Authentication data with access token, refresh token and user ID
+ */
+const login = async (email, password) => {
+  // Find user by email address
+  const user = await User.findOne({ email: email });
+  if (!user) {
+    const error = new Error('User not found.');
+    error.code = 401;
+    throw error;
+  }
+
+  // Locked accounts are refused before the password is even checked
+  if (user.isLocked()) {
+    throw accountLocked(user);
+  }
+
+  // Compare provided password with stored hashed password
+  const isEqual = await bcrypt.compare(password, user.password);
+  if (!isEqual) {
+    await recordFailedLogin(user);
+    const error = new Error('Password is incorrect.');
+    error.code = 401;
+    throw error;
+  }
+
+  // The right password clears the failure history
+  if (user.failedLoginAttempts > 0 || user.loginLockouts > 0) {
+    user.failedLoginAttempts = 0;
+    user.loginLockouts = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+  }
+
+  // Unverified accounts can't sign in when verification is enforced
+  requireVerifiedEmail(user);
+
+  // Start a new session: short-lived access token plus rotating refresh token
+  return issueAuthData(user);
+};
+
+/**
+ * Exchange a refresh token for a new access token
+ * The presented refresh token is rotated and can't be used again
+ * @param {string} refreshToken - Refresh token from a previous login/refresh
+ * @returns {Object} Authentication data with new access and refresh tokens
+ */
+const refresh = refreshToken => {
+  return rotateRefreshToken(refreshToken || '', userId => User.findById(userId));
+};
+
+/**
+ * End the current session (or all sessions of the user)
+ * @param {Object} options - { userId, sessionId } of an authenticated request,
+ *                           { refreshToken } of the session to end,
+ *                           { allSessions } to end every session of userId
+ * @returns {boolean} Success status
+ */
+const logout = async options => {
+  if (options.allSessions) {
+    if (!options.userId) {
+      const error = new Error('Not authenticated!');
+      error.code = 401;
+      throw error;
+    }
+    await revokeSessions({ userId: options.userId });
+    return true;
+  }
+  if (options.sessionId) {
+    await revokeSessions({ sessionId: options.sessionId });
+    return true;
+  }
+  if (options.refreshToken) {
+    await revokeSessions({ refreshToken: options.refreshToken });
+    return true;
+  }
+  const error = new Error('Not authenticated!');
+  error.code = 401;
+  throw error;
+};
+
+/**
+ * Confirm an email address using the token from the verification email
+ * @param {string} token - Plain verification token
+ * @returns {boolean} Success status
+ */
+const verifyEmail = async token => {
+  const user = await User.findOne({
+    emailVerificationTokenHash: hashToken(token || ''),
+    emailVerificationExpiresAt: { $gt: new Date() }
+  });
+  if (!user) {
+    const error = new Error('Verification token is invalid or has expired.');
+    error.code = 400;
+    throw error;
+  }
+
+  // Mark as verified and consume the token
+  user.emailVerified = true;
+  user.emailVerificationTokenHash = undefined;
+  user.emailVerificationExpiresAt = undefined;
+  await user.save();
+  return true;
+};
+
+/**
+ * Send a new verification email
+ * Always succeeds so the response doesn't reveal which emails are registered
+ * @param {string} email - Email address of the unverified account
+ * @returns {boolean} Always true
+ */
+const resendVerification = async email => {
+  validateEmail(email);
+
+  const user = await User.findOne({ email: email });
+  if (user && !user.isEmailVerified()) {
+    // A mail failure would only surface for registered addresses, so it is
+    // logged rather than reported
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.log(err);
+    }
+  }
+  return true;
+};
+
+/**
+ * Send a password reset link to the given email address
+ * Always succeeds so the response doesn't reveal which emails are registered
+ * @param {string} email - Email address of the account
+ * @returns {boolean} Always true
+ */
+const requestPasswordReset = async email => {
+  validateEmail(email);
+
+  const user = await User.findOne({ email: email });
+  if (!user) {
+    return true;
+  }
+
+  // Store only the hash; a new request replaces any pending token
+  const token = generateToken();
+  user.passwordResetTokenHash = hashToken(token);
+  user.passwordResetExpiresAt = new Date(
+    Date.now() + config.auth.passwordResetTtlMinutes * 60 * 1000
+  );
+  await user.save();
+
+  // A mail failure would only surface for registered addresses, so it is
+  // logged rather than reported
+  try {
+    await sendMail(mailTemplates.passwordReset(user, token));
+  } catch (err) {
+    console.log(err);
+  }
+  return true;
+};
+
+/**
+ * Set a new password using a token from a password reset email
+ * The token is single use; all existing sessions are revoked afterwards
+ * @param {string} token - Plain reset token from the email
+ * @param {string} newPassword - New plain text password
+ * @returns {boolean} Success status
+ */
+const resetPassword = async (token, newPassword) => {
+  if (
+    validator.isEmpty(newPassword || '') ||
+    !validator.isLength(newPassword, { min: 5 })
+  ) {
+    const error = new Error('Invalid input.');
+    error.data = [{ message: 'Password too short!' }];
+    error.code = 422;
+    throw error;
+  }
+
+  // Claim the token in one conditional update before the (slow) hashing, so
+  // of two requests with the same token only one gets to set a password
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token || ''),
+      passwordResetExpiresAt: { $gt: new Date() }
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    const error = new Error('Reset token is invalid or has expired.');
+    error.code = 400;
+    throw error;
+  }
+
+  // Replace the password
+  user.password = await bcrypt.hash(newPassword, 12);
+  // Proving access to the mailbox lifts a lockout
+  user.failedLoginAttempts = 0;
+  user.loginLockouts = 0;
+  user.lockedUntil = undefined;
+  await user.save();
+
+  // Sign out everywhere - whoever knew the old password loses access
+  await revokeSessions({ userId: user._id });
+  return true;
+};
+
+// Export service functions
+exports.requireVerifiedEmail = requireVerifiedEmail;
+exports.createUser = createUser;
+exports.login = login;
+exports.refresh = refresh;
+exports.logout = logout;
+exports.verifyEmail = verifyEmail;
+exports.resendVerification = resendVerification;
+exports.requestPasswordReset = requestPasswordReset;
+exports.resetPassword = resetPassword;
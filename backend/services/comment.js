@@ -0,0 +1,206 @@
+// Import required packages for validation
+const validator = require('validator');     // For input validation (length, emptiness)
+
+// Import application modules
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const { hasRole } = require('../util/roles');
+
+/**
+ * Comment service
+ * Functions receive the acting user as `actor` ({ userId, role }) and throw
+ * errors with a `code` (HTTP status) and optional `data`.
+ */
+
+// Number of top-level comments per page
+const PER_PAGE = 10;
+
+/**
+ * Validate the text of a comment
+ * @param {string} body - Comment text
+ * @throws {Error} 422 if the text is empty or too long
+ */
+const validateBody = body => {
+  if (
+    validator.isEmpty((body || '').trim()) ||
+    !validator.isLength(body, { max: 2000 })
+  ) {
+    const error = new Error('Invalid input.');
+    error.data = [{ message: 'Comment must be between 1 and 2000 characters.' }];
+    error.code = 422;
+    throw error;
+  }
+};
+
+/**
+ * Find a comment or throw a 404 error
+ * @param {string} id - Comment ID
+ * @returns {Object} Comment document
+ */
+const findComment = async id => {
+  const comment = await Comment.findById(id);
+  if (!comment) {
+    const error = new Error('No comment found!');
+    error.code = 404;
+    throw error;
+  }
+  return comment;
+};
+
+/**
+ * Whether the actor wrote the comment or may moderate it
+ * Same rule as for posts: the author or a moderator
+ * @param {Object} comment - Comment document
+ * @param {Object} actor - { userId, role } of the acting user
+ * @returns {boolean}
+ */
+const isAuthorOrModerator = (comment, actor) => {
+  return (
+    comment.author.toString() === actor.userId.toString() ||
+    hasRole(actor.role, 'moderator')
+  );
+};
+
+/**
+ * Get a page of top-level comments of a post, oldest first
+ * @param {string} postId - Post ID
+ * @param {number} page - Page number (optional, defaults to 1)
+ * @returns {Object} { comments, totalComments } with authors populated
+ */
+const getComments = async (postId, page) => {
+  if (!page) {
+    page = 1;
+  }
+  const filter = { post: postId, parent: null };
+  const totalComments = await Comment.countDocuments(filter);
+  const comments = await Comment.find(filter)
+    .sort({ createdAt: 1 })
+    .skip((page - 1) * PER_PAGE)
+    .limit(PER_PAGE)
+    .populate('author');
+  return { comments: comments, totalComments: totalComments };
+};
+
+/**
+ * Get all replies to a top-level comment, oldest first
+ * @param {string} commentId - ID of the top-level comment
+ * @returns {Array} Comment documents with authors populated
+ */
+const getReplies = commentId => {
+  return Comment.find({ parent: commentId })
+    .sort({ createdAt: 1 })
+    .populate('author');
+};
+
+/**
+ * Count all comments (including replies) of a post
+ * @param {string} postId - Post ID
+ * @returns {number}
+ */
+const countComments = postId => {
+  return Comment.countDocuments({ post: postId });
+};
+
+/**
+ * Add a comment to a post, optionally as a reply to a top-level comment
+ * @param {Object} actor - { userId, role } of the author
+ * @param {string} postId - Post ID
+ * @param {string} body - Comment text
+ * @param {string} parentId - ID of the comment to reply to (optional)
+ * @returns {Object} Created comment document with author populated
+ */
+const addComment = async (actor, postId, body, parentId) => {
+  validateBody(body);
+
+  // Drafts, scheduled posts and posts in the trash can't be commented on
+  const post = await Post.findById(postId);
+  if (!post || !post.isVisible()) {
+    const error = new Error('No post found!');
+    error.code = 404;
+    throw error;
+  }
+
+  if (parentId) {
+    const parent = await findComment(parentId);
+    if (parent.post.toString() !== post._id.toString()) {
+      const error = new Error('Parent comment belongs to another post.');
+      error.code = 422;
+      throw error;
+    }
+    // Only one level of threading: replies can't be replied to
+    if (parent.parent) {
+      const error = new Error('Replies cannot be replied to.');
+      error.code = 422;
+      throw error;
+    }
+  }
+
+  const comment = await new Comment({
+    author: actor.userId,
+    post: post._id,
+    parent: parentId || null,
+    body: body.trim()
+  }).save();
+  return comment.populate('author').execPopulate();
+};
+
+/**
+ * Change the text of a comment (author or moderator)
+ * @param {Object} actor - { userId, role } of the acting user
+ * @param {string} id - Comment ID
+ * @param {string} body - New comment text
+ * @returns {Object} Updated comment document with author populated
+ */
+const editComment = async (actor, id, body) => {
+  const comment = await findComment(id);
+  if (!isAuthorOrModerator(comment, actor)) {
+    const error = new Error('Not authorized!');
+    error.code = 403;
+    throw error;
+  }
+  validateBody(body);
+
+  comment.body = body.trim();
+  await comment.save();
+  return comment.populate('author').execPopulate();
+};
+
+/**
+ * Delete a comment and its replies
+ * Allowed for the author, the owner of the post and moderators
+ * @param {Object} actor - { userId, role } of the acting user
+ * @param {string} id - Comment ID
+ * @returns {boolean} Success status
+ */
+const deleteComment = async (actor, id) => {
+  const comment = await findComment(id);
+  if (!isAuthorOrModerator(comment, actor)) {
+    const post = await Post.findById(comment.post);
+    if (!post || post.creator.toString() !== actor.userId.toString()) {
+      const error = new Error('Not authorized!');
+      error.code = 403;
+      throw error;
+    }
+  }
+
+  await Comment.deleteMany({ $or: [{ _id: comment._id }, { parent: comment._id }] });
+  return true;
+};
+
+/**
+ * Remove all comments of a post (used when the post is deleted)
+ * @param {string} postId - Post ID
+ */
+const deleteCommentsOfPost = async postId => {
+  await Comment.deleteMany({ post: postId });
+};
+
+// Export service functions
+exports.PER_PAGE = PER_PAGE;
+exports.getComments = getComments;
+exports.getReplies = getReplies;
+exports.countComments = countComments;
+exports.addComment = addComment;
+exports.editComment = editComment;
+exports.deleteComment = deleteComment;
+exports.deleteCommentsOfPost = deleteCommentsOfPost;
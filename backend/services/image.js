@@ -0,0 +1,72 @@
+// Import application modules
+const config = require('../config');
+const Post = require('../models/post');
+const PostRevision = require('../models/post-revision');
+const { IMAGE_SIZES, variantPath, isGeneratedImage } = require('../util/image');
+const { listFiles, deleteFile } = require('../storage');
+
+/**
+ * Image service
+ * Finds stored images that no post or revision refers to, e.g. uploads to
+ * PUT /post-image that were never used in a post. They are deleted once they
+ * are older than uploads.orphanGraceHours, which leaves clients time to
+ * create the post after uploading.
+ * Only files stored by saveImage are considered: anything else in images/
+ * (uploads from before random names, files put there by hand) is left alone.
+ */
+
+/**
+ * Storage keys of all images in use: the images of posts (including drafts
+ * and trashed posts) and of revisions, each with its variants
+ * @returns {Set} Storage keys
+ */
+const referencedImages = async () => {
+  const imageUrls = (await Post.distinct('imageUrl')).concat(
+    await PostRevision.distinct('imageUrl')
+  );
+  const keys = new Set();
+  imageUrls.forEach(imageUrl => {
+    keys.add(imageUrl);
+    Object.keys(IMAGE_SIZES).forEach(size => {
+      keys.add(variantPath(imageUrl, size));
+    });
+  });
+  return keys;
+};
+
+/**
+ * Delete stored images that nothing refers to
+ * Only keys saveImage generates are candidates (see isGeneratedImage).
+ * Files are listed before the references are read, so an image that a post
+ * starts using in between is never deleted.
+ * @param {Object} options - All optional:
+ *   dryRun: Only find the orphaned files, delete nothing
+ *   now: Current time
+ * @returns {Array} [{ key, lastModified }] of the orphaned files older than
+ *                  the grace period, deleted unless dryRun is set
+ */
+const collectOrphanedImages = async (options = {}) => {
+  const now = options.now || new Date();
+  const cutoff =
+    now.getTime() - config.uploads.orphanGraceHours * 60 * 60 * 1000;
+
+  const files = await listFiles('images/');
+  const referenced = await referencedImages();
+  const orphaned = files.filter(file => {
+    return (
+      isGeneratedImage(file.key) &&
+      file.lastModified.getTime() <= cutoff &&
+      !referenced.has(file.key)
+    );
+  });
+
+  if (!options.dryRun) {
+    for (const file of orphaned) {
+      await deleteFile(file.key);
+    }
+  }
+  return orphaned;
+};
+
+// Export service functions
+exports.collectOrphanedImages = collectOrphanedImages;
@@ -0,0 +1,945 @@
+// Import required packages for validation
+const validator = require('validator');     // For input validation (length, emptiness)
+const mongoose = require('mongoose');       // For ObjectId validation
+
+// Import application modules
+const User = require('../models/user');
+const Post = require('../models/post');
+const ModerationAction = require('../models/moderation-action');
+const config = require('../config');
+const { hasRole } = require('../util/roles');
+const { processImage } = require('../util/image');
+const { encodeCursor, decodeCursor } = require('../util/cursor');
+const {
+  normalizeTag,
+  isValidTag,
+  parseHashtags,
+  buildTags
+} = require('../util/tags');
+const { requireVerifiedEmail } = require('./auth');
+const { deleteCommentsOfPost } = require('./comment');
+const { deleteReactionsOfPost } = require('./reaction');
+const {
+  snapshot,
+  hasChanges,
+  recordRevision,
+  getRevision,
+  deleteRevisionsOfPost,
+  clearUnusedImages
+} = require('./revision');
+const {
+  pubsub,
+  POST_CREATED,
+  POST_UPDATED,
+  POST_DELETED,
+  POST_SCHEDULED
+} = require('../graphql/pubsub');
+
+/**
+ * Post service
+ * Post logic shared by the GraphQL resolvers and the REST controllers.
+ * Functions receive the acting user as `actor` ({ userId, role }) and throw
+ * errors with a `code` (HTTP status) and optional `data`.
+ */
+
+// Number of posts per page
+const PER_PAGE = 2;
+
+// Default number of posts per connection page
+const DEFAULT_CONNECTION_SIZE = 10;
+
+// Largest page a client may request (posts and postsConnection)
+const MAX_PAGE_SIZE = 50;
+
+// Sort orders of the posts query; _id keeps the order stable on ties
+const SORT_ORDERS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  updated: { updatedAt: -1, _id: -1 },
+  title: { title: 1, _id: 1 }
+};
+
+/**
+ * Validate title and content of a post
+ * @param {Object} postInput - Contains title and content
+ * @throws {Error} 422 with a list of problems
+ */
+const validatePostInput = postInput => {
+  const errors = [];
+
+  // Validate post title
+  if (
+    validator.isEmpty(postInput.title || '') ||
+    !validator.isLength(postInput.title, { min: 5 })
+  ) {
+    errors.push({ message: 'Title is invalid.' });
+  }
+
+  // Validate post content
+  if (
+    validator.isEmpty(postInput.content || '') ||
+    !validator.isLength(postInput.content, { min: 5 })
+  ) {
+    errors.push({ message: 'Content is invalid.' });
+  }
+
+  // If validation errors exist, throw error with details
+  if (errors.length > 0) {
+    const error = new Error('Invalid input.');
+    error.data = errors;
+    error.code = 422;
+    throw error;
+  }
+};
+
+/**
+ * Work out status and publishAt of a new or edited post
+ * Without a status, a post with publishAt is scheduled, a new post is
+ * published and an edited post keeps its status (and schedule).
+ *
+ * @param {Object} postInput - Optional status ('draft' | 'scheduled' |
+ *                             'published') and publishAt (ISO date)
+ * @param {Object} post - Current post document when editing (optional)
+ * @returns {Object} { status, publishAt }
+ * @throws {Error} 422 for an invalid combination
+ */
+const resolvePublishing = (postInput, post) => {
+  const currentStatus = post ? post.status || 'published' : null;
+  const fail = message => {
+    const error = new Error('Invalid input.');
+    error.data = [{ message: message }];
+    error.code = 422;
+    throw error;
+  };
+
+  let publishAt = null;
+  if (postInput.publishAt) {
+    publishAt = new Date(postInput.publishAt);
+    if (isNaN(publishAt.getTime())) {
+      fail('publishAt must be an ISO date.');
+    }
+  }
+
+  let status = postInput.status;
+  if (!status) {
+    status = publishAt ? 'scheduled' : currentStatus || 'published';
+  }
+  if (currentStatus === 'published' && status !== 'published') {
+    fail('Published posts cannot be turned back into drafts.');
+  }
+
+  if (status === 'scheduled') {
+    if (!publishAt && currentStatus === 'scheduled') {
+      publishAt = post.publishAt;
+    }
+    if (!publishAt || publishAt <= new Date()) {
+      fail('Scheduled posts need a publishAt date in the future.');
+    }
+    return { status: status, publishAt: publishAt };
+  }
+
+  if (publishAt) {
+    fail('publishAt can only be set for scheduled posts.');
+  }
+  if (status === 'published') {
+    // Already published posts keep their publish time
+    return {
+      status: status,
+      publishAt: currentStatus === 'published' ? post.publishAt : new Date()
+    };
+  }
+  return { status: status, publishAt: null };
+};
+
+/**
+ * Whether a user created a post
+ * @param {Object} post - Post document (creator may be populated)
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isCreator = (post, userId) => {
+  const creatorId = post.creator._id ? post.creator._id : post.creator;
+  return creatorId.toString() === userId.toString();
+};
+
+/**
+ * Check that the acting user may change a post
+ * Creators may change their own posts; moderators and admins may change any
+ * @param {Object} post - Post document
+ * @param {Object} actor - { userId, role } of the acting user
+ * @returns {boolean} true if the change is a moderation action (not the creator)
+ * @throws {Error} 403 if the user is neither creator nor moderator
+ */
+const authorizePostChange = (post, actor) => {
+  if (isCreator(post, actor.userId)) {
+    return false;
+  }
+  if (hasRole(actor.role, 'moderator')) {
+    return true;
+  }
+  const error = new Error('Not authorized!');
+  error.code = 403;
+  throw error;
+};
+
+/**
+ * Record a moderation action on someone else's post
+ * @param {string} action - 'update', 'delete', 'restore' or 'purge'
+ * @param {Object} post - Post document (before the change)
+ * @param {Object} actor - { userId, role } of the moderator
+ */
+const logModerationAction = async (action, post, actor) => {
+  const creatorId = post.creator._id ? post.creator._id : post.creator;
+  await new ModerationAction({
+    moderator: actor.userId,
+    action: action,
+    post: post._id,
+    postCreator: creatorId,
+    postTitle: post.title
+  }).save();
+};
+
+/**
+ * Build the Mongo filter for a feed scope
+ * Feeds only contain published posts that are not in the trash
+ * @param {Object} options - { scope: 'all' | 'following', userId }
+ * @returns {Object} Filter for Post.find()
+ */
+const buildScopeFilter = async options => {
+  const filter = Post.visibleFilter();
+  if (options.scope === 'following') {
+    const user = await User.findById(options.userId);
+    filter.creator = { $in: user ? user.following : [] };
+  }
+  return filter;
+};
+
+/**
+ * Check a requested page size against the server limit
+ * @param {number} size - Requested number of posts
+ * @param {number} min - Smallest allowed size
+ * @throws {Error} 422 if the size is out of range
+ */
+const validatePageSize = (size, min) => {
+  if (!Number.isInteger(size) || size < min || size > MAX_PAGE_SIZE) {
+    const error = new Error(
+      'Page size must be between ' + min + ' and ' + MAX_PAGE_SIZE + '.'
+    );
+    error.code = 422;
+    throw error;
+  }
+};
+
+/**
+ * Parse one bound of a date range filter
+ * @param {string} value - ISO date string (optional)
+ * @param {string} name - Filter field name, used in the error message
+ * @param {Array} errors - Collects validation problems
+ * @returns {Date|undefined} Parsed date, undefined if not given or invalid
+ */
+const parseDate = (value, name, errors) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    errors.push({ message: name + ' must be an ISO date.' });
+    return undefined;
+  }
+  return date;
+};
+
+/**
+ * Add a creator and created/updated date ranges to a Mongo filter
+ * @param {Object} filter - Filter to extend (e.g. from buildScopeFilter)
+ * @param {Object} postFilter - { creator, tag, createdAfter, createdBefore,
+ *                              updatedAfter, updatedBefore } (all optional)
+ * @returns {Object} The extended filter
+ * @throws {Error} 422 with a list of problems
+ */
+const applyPostFilter = (filter, postFilter) => {
+  const errors = [];
+
+  if (postFilter.creator !== undefined && postFilter.creator !== null) {
+    if (!mongoose.Types.ObjectId.isValid(postFilter.creator)) {
+      errors.push({ message: 'creator must be a user ID.' });
+    } else {
+      // Keeps a scope restriction ($in) and adds the creator ($eq)
+      filter.creator = { ...filter.creator, $eq: postFilter.creator };
+    }
+  }
+
+  if (postFilter.tag !== undefined && postFilter.tag !== null) {
+    const tag = normalizeTag(postFilter.tag);
+    if (!isValidTag(tag)) {
+      errors.push({ message: 'tag is invalid.' });
+    } else {
+      filter.tags = tag;
+    }
+  }
+
+  const ranges = { createdAt: 'created', updatedAt: 'updated' };
+  Object.keys(ranges).forEach(field => {
+    const prefix = ranges[field];
+    const afterName = prefix + 'After';
+    const beforeName = prefix + 'Before';
+    const after = parseDate(postFilter[afterName], afterName, errors);
+    const before = parseDate(postFilter[beforeName], beforeName, errors);
+    if (after || before) {
+      filter[field] = {};
+      if (after) {
+        filter[field].$gte = after;
+      }
+      if (before) {
+        filter[field].$lt = before;
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    const error = new Error('Invalid filter.');
+    error.data = errors;
+    error.code = 422;
+    throw error;
+  }
+  return filter;
+};
+
+/**
+ * Get paginated list of posts, newest first unless another sort is given
+ * @param {number} page - Page number (optional, defaults to 1)
+ * @param {Object} options - All optional:
+ *   scope: 'all' | 'following' - 'following' only returns posts of users
+ *          that userId follows
+ *   userId: ID of the current user
+ *   perPage: Posts per page (1 to MAX_PAGE_SIZE, defaults to PER_PAGE)
+ *   sort: 'newest' | 'oldest' | 'updated' | 'title'
+ *   filter: { creator, tag, createdAfter, createdBefore, updatedAfter,
+ *             updatedBefore }
+ * @returns {Object} { posts, totalPosts }
+ */
+const getPosts = async (page, options = {}) => {
+  // Set default page to 1 if not provided
+  if (!page) {
+    page = 1;
+  }
+
+  const perPage = options.perPage || PER_PAGE;
+  validatePageSize(perPage, 1);
+
+  const sort = SORT_ORDERS[options.sort || 'newest'];
+  if (!sort) {
+    const error = new Error('Invalid sort order.');
+    error.code = 422;
+    throw error;
+  }
+
+  const filter = applyPostFilter(
+    await buildScopeFilter(options),
+    options.filter || {}
+  );
+
+  // Get total count of posts for pagination metadata
+  const totalPosts = await Post.find(filter).countDocuments();
+
+  // Fetch posts with pagination and sorting
+  // Creators are not populated: GraphQL batches them through the user loader
+  // and REST populates them with withCreators()
+  const posts = await Post.find(filter)
+    .sort(sort)                                 // Sort order (newest first by default)
+    .skip((page - 1) * perPage)                 // Skip posts for pagination
+    .limit(perPage);                            // Limit results per page
+
+  return { posts: posts, totalPosts: totalPosts };
+};
+
+/**
+ * Populate the creators of a list of posts with their public fields
+ * GraphQL loads creators in batches per request; this is for REST responses
+ * @param {Array} posts - Post documents
+ * @returns {Array} The same posts with creator { _id, name } populated
+ */
+const withCreators = posts => {
+  return Post.populate(posts, { path: 'creator', select: '_id name' });
+};
+
+/**
+ * Get a page of posts using cursors (Relay connection), newest first
+ * Uses a keyset on (createdAt, _id) so pages stay stable while posts are
+ * added and deep pages are as fast as the first one.
+ *
+ * @param {Object} args - { first, after } to page forward (older posts) or
+ *                        { last, before } to page backward (newer posts)
+ * @param {Object} options - { scope, userId } as for getPosts
+ * @returns {Object} { edges: [{ cursor, node }], pageInfo, totalCount }
+ */
+const getPostsConnection = async (args, options = {}) => {
+  // Paging backward when `last` is given, forward otherwise
+  const backward = args.last !== undefined && args.last !== null;
+  let size = backward ? args.last : args.first;
+  if (size === undefined || size === null) {
+    size = DEFAULT_CONNECTION_SIZE;
+  }
+  validatePageSize(size, 0);
+
+  const scopeFilter = await buildScopeFilter(options);
+  const filter = { ...scopeFilter };
+  const cursor = backward ? args.before : args.after;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    // Older than the cursor when paging forward, newer when paging backward
+    const op = backward ? '$gt' : '$lt';
+    filter.$or = [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position.id } }
+    ];
+  }
+
+  // Fetch one extra post to know whether another page exists
+  const direction = backward ? 1 : -1;
+  const posts = await Post.find(filter)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(size + 1);
+  const hasMore = posts.length > size;
+  const page = posts.slice(0, size);
+  if (backward) {
+    page.reverse();
+  }
+
+  const totalCount = await Post.find(scopeFilter).countDocuments();
+  const edges = page.map(post => {
+    return { cursor: encodeCursor(post), node: post };
+  });
+
+  return {
+    edges: edges,
+    pageInfo: {
+      hasNextPage: backward ? !!args.before : hasMore,
+      hasPreviousPage: backward ? hasMore : !!args.after,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    },
+    totalCount: totalCount
+  };
+};
+
+/**
+ * Find a post that is not in the trash or throw a 404 error
+ * @param {string} id - Post ID
+ * @returns {Object} Post document with creator populated
+ */
+const findPost = async id => {
+  const post = await Post.findById(id).populate('creator');
+  if (!post || post.isDeleted()) {
+    const error = new Error('No post found!');
+    error.code = 404;
+    throw error;
+  }
+  return post;
+};
+
+/**
+ * Find a post in the trash or throw a 404 error
+ * @param {string} id - Post ID
+ * @returns {Object} Post document
+ */
+const findTrashedPost = async id => {
+  const post = await Post.findById(id);
+  if (!post || !post.isDeleted()) {
+    const error = new Error('No deleted post found!');
+    error.code = 404;
+    throw error;
+  }
+  return post;
+};
+
+/**
+ * Get a single post by ID
+ * Drafts and scheduled posts are only visible to their creator
+ * @param {string} id - Post ID
+ * @param {Object} actor - { userId, role } of the viewing user (optional)
+ * @returns {Object} Post document with creator populated
+ */
+const getPost = async (id, actor) => {
+  const post = await findPost(id);
+  if (!post.isPublished() && !(actor && isCreator(post, actor.userId))) {
+    const error = new Error('No post found!');
+    error.code = 404;
+    throw error;
+  }
+  return post;
+};
+
+/**
+ * Get the drafts and scheduled posts of a user, last edited first
+ * @param {Object} actor - { userId, role } of the creator
+ * @param {number} page - Page number (optional, defaults to 1)
+ * @returns {Object} { posts, totalPosts }
+ */
+const getDrafts = async (actor, page) => {
+  if (!page) {
+    page = 1;
+  }
+  const filter = {
+    creator: actor.userId,
+    status: { $in: ['draft', 'scheduled'] },
+    deletedAt: null
+  };
+  const totalPosts = await Post.find(filter).countDocuments();
+  const posts = await Post.find(filter)
+    .sort({ updatedAt: -1 })
+    .skip((page - 1) * PER_PAGE)
+    .limit(PER_PAGE);
+  return { posts: posts, totalPosts: totalPosts };
+};
+
+/**
+ * Create a new post
+ * The post is published right away unless it is a draft or scheduled.
+ *
+ * @param {Object} actor - { userId, role } of the creator
+ * @param {Object} postInput - Contains title, content, imageUrl and optional
+ *                             tags, status and publishAt
+ * @returns {Object} Created post document with creator populated
+ */
+const createPost = async (actor, postInput) => {
+  validatePostInput(postInput);
+  const tags = buildTags(postInput.tags, postInput.content);
+  const publishing = resolvePublishing(postInput);
+
+  if (!postInput.imageUrl) {
+    const error = new Error('No image provided.');
+    error.code = 422;
+    throw error;
+  }
+
+  // Verify user exists in database
+  const user = await User.findById(actor.userId);
+  if (!user) {
+    const error = new Error('Invalid user.');
+    error.code = 401;
+    throw error;
+  }
+
+  // Only verified accounts may publish when verification is enforced
+  requireVerifiedEmail(user);
+
+  const image = await processImage(postInput.imageUrl);
+
+  // Create and save the new post
+  const post = new Post({
+    title: postInput.title,
+    content: postInput.content,
+    imageUrl: postInput.imageUrl,
+    image: image,
+    tags: tags,
+    status: publishing.status,
+    publishAt: publishing.publishAt,
+    creator: user
+  });
+  const createdPost = await post.save();
+
+  // Add post reference to user's posts array
+  user.posts.push(createdPost);
+  await user.save();
+
+  // Notify subscribers, or the scheduler for posts published later
+  if (createdPost.status === 'published') {
+    pubsub.publish(POST_CREATED, { postCreated: createdPost });
+  } else if (createdPost.status === 'scheduled') {
+    pubsub.publish(POST_SCHEDULED, { publishAt: createdPost.publishAt });
+  }
+
+  return createdPost;
+};
+
+/**
+ * Update an existing post
+ * The previous version is stored as a revision. The image is only replaced
+ * when a new imageUrl is given; the old file stays on disk while a revision
+ * refers to it. Explicit tags are
+ * only replaced when tags are given; hashtags always follow the content.
+ * Drafts and scheduled posts may change status; published posts stay published.
+ *
+ * @param {Object} actor - { userId, role } of the acting user
+ * @param {string} id - Post ID to update
+ * @param {Object} postInput - Contains title, content and optional imageUrl,
+ *                             tags, status and publishAt
+ * @returns {Object} Updated post document with creator populated
+ */
+const updatePost = async (actor, id, postInput) => {
+  // Find post and populate creator information
+  const post = await findPost(id);
+
+  // Only the creator or a moderator may edit the post
+  const isModeration = authorizePostChange(post, actor);
+
+  validatePostInput(postInput);
+
+  // Without new tags keep the explicit ones, i.e. those that weren't hashtags
+  let explicitTags = postInput.tags;
+  if (explicitTags === undefined || explicitTags === null) {
+    const oldHashtags = parseHashtags(post.content);
+    explicitTags = post.tags.filter(tag => !oldHashtags.includes(tag));
+  }
+  const tags = buildTags(explicitTags, postInput.content);
+  const publishing = resolvePublishing(postInput, post);
+
+  // Update post fields
+  const previous = snapshot(post);
+  const wasPublished = post.isPublished();
+  post.title = postInput.title;
+  post.content = postInput.content;
+  post.tags = tags;
+  // Only replace the image if a different one is provided
+  if (postInput.imageUrl && postInput.imageUrl !== post.imageUrl) {
+    post.image = await processImage(postInput.imageUrl);
+    post.imageUrl = postInput.imageUrl;
+  }
+  post.status = publishing.status;
+  post.publishAt = publishing.publishAt;
+  if (!wasPublished && publishing.status === 'published') {
+    // Feeds are ordered by createdAt, so a published draft appears as new
+    post.createdAt = publishing.publishAt;
+  }
+  post.lastEditedBy = actor.userId;
+  const updatedPost = await post.save();
+
+  // Keep the previous version (and with it the replaced image)
+  if (hasChanges(previous, updatedPost)) {
+    await recordRevision(previous, updatedPost, actor.userId);
+  }
+
+  // Attribute edits of someone else's post to the moderator
+  if (isModeration) {
+    await logModerationAction('update', post, actor);
+  }
+
+  // Notify subscribers; drafts are private until they are published
+  if (wasPublished) {
+    pubsub.publish(POST_UPDATED, { postUpdated: updatedPost });
+  } else if (updatedPost.status === 'published') {
+    pubsub.publish(POST_CREATED, { postCreated: updatedPost });
+  } else if (updatedPost.status === 'scheduled') {
+    pubsub.publish(POST_SCHEDULED, { publishAt: updatedPost.publishAt });
+  }
+
+  return updatedPost;
+};
+
+/**
+ * Restore a post to the version stored in a revision (creator only)
+ * The restore is an update, so the version it replaces becomes a revision too
+ * @param {Object} actor - { userId, role } of the creator
+ * @param {string} revisionId - Revision ID
+ * @returns {Object} Updated post document with creator populated
+ */
+const restorePostRevision = async (actor, revisionId) => {
+  const { revision, post } = await getRevision(actor, revisionId);
+  if (!isCreator(post, actor.userId)) {
+    const error = new Error('Not authorized!');
+    error.code = 403;
+    throw error;
+  }
+  return updatePost(actor, post._id, {
+    title: revision.title,
+    content: revision.content,
+    imageUrl: revision.imageUrl,
+    tags: revision.tags
+  });
+};
+
+/**
+ * Publish a draft or scheduled post right away (creator only)
+ * Publishing an already published post changes nothing
+ * @param {Object} actor - { userId, role } of the creator
+ * @param {string} id - Post ID
+ * @returns {Object} Published post document with creator populated
+ */
+const publishPost = async (actor, id) => {
+  const post = await getPost(id, actor);
+  if (!isCreator(post, actor.userId)) {
+    const error = new Error('Not authorized!');
+    error.code = 403;
+    throw error;
+  }
+  if (post.isPublished()) {
+    return post;
+  }
+
+  // Feeds are ordered by createdAt, so the post appears as new
+  const now = new Date();
+  post.status = 'published';
+  post.publishAt = now;
+  post.createdAt = now;
+  const publishedPost = await post.save();
+
+  pubsub.publish(POST_CREATED, { postCreated: publishedPost });
+  return publishedPost;
+};
+
+/**
+ * Publish all scheduled posts whose publishAt has passed
+ * Each post is flipped with a conditional update, so a post that was
+ * published or changed in the meantime is left alone.
+ *
+ * @param {Date} now - Current time (optional)
+ * @returns {number} Number of published posts
+ */
+const publishDuePosts = async (now = new Date()) => {
+  const due = await Post.find({
+    status: 'scheduled',
+    publishAt: { $lte: now },
+    deletedAt: null
+  }).sort({ publishAt: 1 });
+
+  let published = 0;
+  for (const post of due) {
+    // timestamps: false keeps mongoose from overriding createdAt
+    const publishedPost = await Post.findOneAndUpdate(
+      {
+        _id: post._id,
+        status: 'scheduled',
+        publishAt: post.publishAt,
+        deletedAt: null
+      },
+      {
+        $set: {
+          status: 'published',
+          createdAt: post.publishAt,
+          updatedAt: now
+        }
+      },
+      { new: true, timestamps: false }
+    ).populate('creator');
+    if (publishedPost) {
+      pubsub.publish(POST_CREATED, { postCreated: publishedPost });
+      published++;
+    }
+  }
+  return published;
+};
+
+/**
+ * Get the time of the next scheduled post
+ * @returns {Date|null} publishAt of the earliest scheduled post, null if none
+ */
+const getNextPublishAt = async () => {
+  const next = await Post.findOne({
+    status: 'scheduled',
+    deletedAt: null
+  }).sort({ publishAt: 1 });
+  return next ? next.publishAt : null;
+};
+
+/**
+ * Permanently remove a post with its image, comments, reactions and revisions
+ * @param {Object} post - Post document
+ */
+const removePost = async post => {
+  await Post.findByIdAndRemove(post._id);
+  await deleteCommentsOfPost(post._id);
+  await deleteReactionsOfPost(post._id);
+  await deleteRevisionsOfPost(post._id);
+
+  // Delete the image and its variants unless another post still uses it
+  await clearUnusedImages([post.imageUrl]);
+};
+
+/**
+ * Delete a post by moving it to the trash
+ * The post disappears from all queries but keeps its image, comments and
+ * reactions until it is purged (manually or after the retention period).
+ *
+ * @param {Object} actor - { userId, role } of the acting user
+ * @param {string} id - Post ID to delete
+ * @returns {boolean} Success status
+ */
+const deletePost = async (actor, id) => {
+  // Find post to delete
+  const post = await findPost(id);
+
+  // Only the creator or a moderator may delete the post
+  const isModeration = authorizePostChange(post, actor);
+  const wasVisible = post.isVisible();
+
+  post.deletedAt = new Date();
+  post.deletedBy = actor.userId;
+  await post.save();
+
+  // Remove post reference from the creator's posts array
+  await User.updateOne(
+    { _id: post.creator._id },
+    { $pull: { posts: post._id } }
+  );
+
+  // Attribute deletion of someone else's post to the moderator
+  if (isModeration) {
+    await logModerationAction('delete', post, actor);
+  }
+
+  // Notify subscribers (they never saw drafts)
+  if (wasVisible) {
+    pubsub.publish(POST_DELETED, { postDeleted: post._id.toString() });
+  }
+
+  return true;
+};
+
+/**
+ * Get the posts of a user that are in the trash, last deleted first
+ * @param {Object} actor - { userId, role } of the creator
+ * @param {number} page - Page number (optional, defaults to 1)
+ * @returns {Object} { posts, totalPosts }
+ */
+const getTrash = async (actor, page) => {
+  if (!page) {
+    page = 1;
+  }
+  const filter = { creator: actor.userId, deletedAt: { $ne: null } };
+  const totalPosts = await Post.find(filter).countDocuments();
+  const posts = await Post.find(filter)
+    .sort({ deletedAt: -1 })
+    .skip((page - 1) * PER_PAGE)
+    .limit(PER_PAGE);
+  return { posts: posts, totalPosts: totalPosts };
+};
+
+/**
+ * Take a post out of the trash
+ * Creators may restore posts they deleted themselves; posts removed by a
+ * moderator can only be restored by a moderator.
+ *
+ * @param {Object} actor - { userId, role } of the acting user
+ * @param {string} id - Post ID
+ * @returns {Object} Restored post document with creator populated
+ */
+const restorePost = async (actor, id) => {
+  const post = await findTrashedPost(id);
+  const isModeration = authorizePostChange(post, actor);
+
+  // Creators can't undo the removal of their post by a moderator
+  const deletedByOther =
+    post.deletedBy && post.deletedBy.toString() !== actor.userId.toString();
+  if (deletedByOther && !hasRole(actor.role, 'moderator')) {
+    const error = new Error('Not authorized!');
+    error.data = [{ message: 'Only moderators can restore posts they removed.' }];
+    error.code = 403;
+    throw error;
+  }
+
+  // Clear the trash fields ($unset) and add the post back to its creator
+  post.deletedAt = undefined;
+  post.deletedBy = undefined;
+  await post.save();
+  await User.updateOne(
+    { _id: post.creator },
+    { $addToSet: { posts: post._id } }
+  );
+
+  if (isModeration) {
+    await logModerationAction('restore', post, actor);
+  }
+
+  const restoredPost = await post.populate('creator').execPopulate();
+
+  // Subscribers see the post again
+  if (restoredPost.isVisible()) {
+    pubsub.publish(POST_CREATED, { postCreated: restoredPost });
+  }
+
+  return restoredPost;
+};
+
+/**
+ * Permanently delete a post from the trash (creator or moderator)
+ * @param {Object} actor - { userId, role } of the acting user
+ * @param {string} id - Post ID
+ * @returns {boolean} Success status
+ */
+const purgePost = async (actor, id) => {
+  const post = await findTrashedPost(id);
+  const isModeration = authorizePostChange(post, actor);
+  await removePost(post);
+  if (isModeration) {
+    await logModerationAction('purge', post, actor);
+  }
+  return true;
+};
+
+/**
+ * Permanently delete posts that have been in the trash for longer than the
+ * configured retention period (posts.trashRetentionDays)
+ * @param {Date} now - Current time (optional)
+ * @returns {number} Number of purged posts
+ */
+const purgeExpiredPosts = async (now = new Date()) => {
+  const cutoff = new Date(
+    now.getTime() - config.posts.trashRetentionDays * 24 * 60 * 60 * 1000
+  );
+  const expired = await Post.find({ deletedAt: { $lte: cutoff } });
+  for (const post of expired) {
+    await removePost(post);
+  }
+  return expired.length;
+};
+
+/**
+ * Get the most used tags
+ * @param {number} limit - Number of tags (optional, defaults to 10)
+ * @returns {Array} [{ tag, count }], most used first
+ */
+const getPopularTags = async limit => {
+  if (!limit) {
+    limit = 10;
+  }
+  validatePageSize(limit, 1);
+  const results = await Post.aggregate([
+    { $match: Post.visibleFilter() },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  return results.map(r => {
+    return { tag: r._id, count: r.count };
+  });
+};
+
+/**
+ * Get recent moderation actions, newest first
+ * @param {number} page - Page number (optional, defaults to 1)
+ * @returns {Array} ModerationAction documents
+ */
+const getModerationLog = async page => {
+  if (!page) {
+    page = 1;
+  }
+  const perPage = 20;
+  return ModerationAction.find()
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * perPage)
+    .limit(perPage);
+};
+
+// Export service functions
+exports.PER_PAGE = PER_PAGE;
+exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+exports.getPosts = getPosts;
+exports.withCreators = withCreators;
+exports.getPostsConnection = getPostsConnection;
+exports.getPost = getPost;
+exports.getDrafts = getDrafts;
+exports.createPost = createPost;
+exports.updatePost = updatePost;
+exports.deletePost = deletePost;
+exports.getTrash = getTrash;
+exports.restorePost = restorePost;
+exports.purgePost = purgePost;
+exports.purgeExpiredPosts = purgeExpiredPosts;
+exports.restorePostRevision = restorePostRevision;
+exports.publishPost = publishPost;
+exports.publishDuePosts = publishDuePosts;
+exports.getNextPublishAt = getNextPublishAt;
+exports.getPopularTags = getPopularTags;
+exports.getModerationLog = getModerationLog;
@@ -0,0 +1,149 @@
+// Import application modules
+const Post = require('../models/post');
+const Reaction = require('../models/reaction');
+const { REACTION_TYPES } = require('../util/reactions');
+
+/**
+ * Reaction service
+ * Reactions are idempotent per user and post: reacting twice with the same
+ * type changes nothing, reacting with another type replaces the reaction.
+ * Post.reactionCounts is kept in sync with atomic $inc updates.
+ */
+
+/**
+ * Find a visible post (published, not in the trash) or throw a 404 error
+ * @param {string} postId - Post ID
+ * @returns {Object} Post document with creator populated
+ */
+const findPost = async postId => {
+  const post = await Post.findById(postId).populate('creator');
+  if (!post || !post.isVisible()) {
+    const error = new Error('No post found!');
+    error.code = 404;
+    throw error;
+  }
+  return post;
+};
+
+/**
+ * Apply count changes to a post and return the updated document
+ * @param {string} postId - Post ID
+ * @param {Object} changes - e.g. { like: 1, love: -1 }
+ * @returns {Object} Updated post document with creator populated
+ */
+const updateCounts = (postId, changes) => {
+  const inc = {};
+  Object.keys(changes).forEach(type => {
+    inc['reactionCounts.' + type] = changes[type];
+  });
+  return Post.findByIdAndUpdate(postId, { $inc: inc }, { new: true }).populate(
+    'creator'
+  );
+};
+
+// Error code of MongoDB's duplicate key error
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Set a user's reaction on a post and return the previous one
+ * Two concurrent upserts can both try to insert; the loser hits the unique
+ * index and is retried, which then updates the reaction the winner created
+ * @param {string} userId - User ID
+ * @param {string} postId - Post ID
+ * @param {string} type - Reaction type (lowercase)
+ * @returns {Object|null} Previous reaction, null if there was none
+ */
+const upsertReaction = async (userId, postId, type) => {
+  const upsert = () => {
+    return Reaction.findOneAndUpdate(
+      { user: userId, post: postId },
+      { type: type },
+      { upsert: true, new: false }
+    );
+  };
+  try {
+    return await upsert();
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY) {
+      throw err;
+    }
+    return upsert();
+  }
+};
+
+/**
+ * React to a post (or change the existing reaction)
+ * @param {Object} actor - { userId, role } of the reacting user
+ * @param {string} postId - Post ID
+ * @param {string} type - Reaction type (lowercase)
+ * @returns {Object} Post document with updated counts
+ */
+const reactToPost = async (actor, postId, type) => {
+  if (!REACTION_TYPES.includes(type)) {
+    const error = new Error('Invalid reaction type.');
+    error.code = 422;
+    throw error;
+  }
+  const post = await findPost(postId);
+
+  // Upsert and get the previous reaction (null if there was none)
+  const previous = await upsertReaction(actor.userId, post._id, type);
+
+  if (!previous) {
+    return updateCounts(post._id, { [type]: 1 });
+  }
+  if (previous.type !== type) {
+    return updateCounts(post._id, { [previous.type]: -1, [type]: 1 });
+  }
+  return post;
+};
+
+/**
+ * Remove the user's reaction from a post (no-op if there is none)
+ * @param {Object} actor - { userId, role } of the reacting user
+ * @param {string} postId - Post ID
+ * @returns {Object} Post document with updated counts
+ */
+const removeReaction = async (actor, postId) => {
+  const post = await findPost(postId);
+  const removed = await Reaction.findOneAndDelete({
+    user: actor.userId,
+    post: post._id
+  });
+  if (!removed) {
+    return post;
+  }
+  return updateCounts(post._id, { [removed.type]: -1 });
+};
+
+/**
+ * Look up a user's reactions on several posts with a single query
+ * @param {string} userId - User ID
+ * @param {Array} postIds - Post IDs
+ * @returns {Object} Map of post ID (string) to reaction type
+ */
+const getUserReactions = async (userId, postIds) => {
+  const reactions = await Reaction.find({
+    user: userId,
+    post: { $in: postIds }
+  });
+  const byPost = {};
+  reactions.forEach(r => {
+    byPost[r.post.toString()] = r.type;
+  });
+  return byPost;
+};
+
+/**
+ * Remove all reactions of a post (used when the post is deleted)
+ * @param {string} postId - Post ID
+ */
+const deleteReactionsOfPost = async postId => {
+  await Reaction.deleteMany({ post: postId });
+};
+
+// Export service functions
+exports.reactToPost = reactToPost;
+exports.removeReaction = removeReaction;
+exports.getUserReactions = getUserReactions;
+exports.deleteReactionsOfPost = deleteReactionsOfPost;
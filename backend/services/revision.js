@@ -0,0 +1,214 @@
+// Import application modules
+const Post = require('../models/post');
+const PostRevision = require('../models/post-revision');
+const { hasRole } = require('../util/roles');
+const { clearImage } = require('../util/image');
+
+/**
+ * Revision service
+ * Every update of a post stores the previous title, content, image and tags
+ * as a revision. Images of older versions are kept while a revision refers to
+ * them and removed when the revision is pruned or the post is deleted.
+ */
+
+// Number of revisions kept per post; older ones are pruned
+const MAX_REVISIONS = 20;
+
+// Fields stored in a revision and compared by the diff
+const REVISION_FIELDS = ['title', 'content', 'imageUrl', 'tags'];
+
+/**
+ * Read the revisioned fields of a post or revision
+ * @param {Object} doc - Post or PostRevision document
+ * @returns {Object} { title, content, imageUrl, tags }
+ */
+const snapshot = doc => {
+  return {
+    title: doc.title,
+    content: doc.content,
+    imageUrl: doc.imageUrl,
+    tags: (doc.tags || []).slice()
+  };
+};
+
+/**
+ * Format a field value for the diff
+ * @param {*} value - Field value
+ * @returns {string|null}
+ */
+const fieldValue = value => {
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  return value === undefined || value === null ? null : String(value);
+};
+
+/**
+ * Whether the actor may see the revisions of a post: its creator or a
+ * moderator
+ * @param {Object} post - Post document
+ * @param {Object} actor - { userId, role } of the acting user
+ * @returns {boolean}
+ */
+const canViewRevisions = (post, actor) => {
+  const creatorId = post.creator._id ? post.creator._id : post.creator;
+  return (
+    creatorId.toString() === actor.userId.toString() ||
+    hasRole(actor.role, 'moderator')
+  );
+};
+
+/**
+ * Throw a 403 error unless the actor created the post or is a moderator
+ * @param {Object} post - Post document
+ * @param {Object} actor - { userId, role } of the acting user
+ */
+const authorizeView = (post, actor) => {
+  if (!canViewRevisions(post, actor)) {
+    const error = new Error('Not authorized!');
+    error.code = 403;
+    throw error;
+  }
+};
+
+/**
+ * Remove images that no post or revision uses any more
+ * Posts may refer to any stored image, not only their own uploads, so an
+ * image is only removed once nothing refers to it. Failures are logged, like
+ * in clearImage.
+ * @param {Array} imageUrls - Candidate images
+ */
+const clearUnusedImages = async imageUrls => {
+  const candidates = imageUrls.filter(
+    (url, i) => url && imageUrls.indexOf(url) === i
+  );
+  for (const imageUrl of candidates) {
+    try {
+      const used =
+        (await Post.exists({ imageUrl: imageUrl })) ||
+        (await PostRevision.exists({ imageUrl: imageUrl }));
+      if (!used) {
+        await clearImage(imageUrl);
+      }
+    } catch (err) {
+      console.log(err);
+    }
+  }
+};
+
+/**
+ * Store the previous version of a post and prune old revisions
+ * @param {Object} previous - { title, content, imageUrl, tags } before the update
+ * @param {Object} post - Post document after the update
+ * @param {string} editorId - User who made the update
+ * @returns {Object} Created PostRevision document
+ */
+const recordRevision = async (previous, post, editorId) => {
+  const revision = await new PostRevision({
+    post: post._id,
+    editor: editorId,
+    title: previous.title,
+    content: previous.content,
+    imageUrl: previous.imageUrl,
+    tags: previous.tags
+  }).save();
+
+  // Keep only the newest MAX_REVISIONS revisions
+  const pruned = await PostRevision.find({ post: post._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(MAX_REVISIONS);
+  if (pruned.length > 0) {
+    await PostRevision.deleteMany({ _id: { $in: pruned.map(r => r._id) } });
+    await clearUnusedImages(pruned.map(r => r.imageUrl));
+  }
+  return revision;
+};
+
+/**
+ * Whether an update changed any revisioned field
+ * @param {Object} previous - Fields before the update
+ * @param {Object} post - Post document after the update
+ * @returns {boolean}
+ */
+const hasChanges = (previous, post) => {
+  const current = snapshot(post);
+  return REVISION_FIELDS.some(
+    field => fieldValue(previous[field]) !== fieldValue(current[field])
+  );
+};
+
+/**
+ * List the revisions of a post, newest first (creator or moderator)
+ * @param {Object} actor - { userId, role } of the acting user
+ * @param {Object} post - Post document
+ * @returns {Array} PostRevision documents with editors populated
+ */
+const getRevisions = async (actor, post) => {
+  authorizeView(post, actor);
+  return PostRevision.find({ post: post._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .populate('editor');
+};
+
+/**
+ * Get a single revision with the post it belongs to (creator or moderator)
+ * @param {Object} actor - { userId, role } of the acting user
+ * @param {string} id - Revision ID
+ * @returns {Object} { revision, post } documents
+ */
+const getRevision = async (actor, id) => {
+  const revision = await PostRevision.findById(id).populate('editor');
+  const post = revision ? await Post.findById(revision.post) : null;
+  if (!revision || !post || post.isDeleted()) {
+    const error = new Error('No revision found!');
+    error.code = 404;
+    throw error;
+  }
+  authorizeView(post, actor);
+  return { revision: revision, post: post };
+};
+
+/**
+ * Compare a revision with the current version of its post
+ * @param {Object} revision - PostRevision document
+ * @param {Object} post - Current post document (loaded if omitted)
+ * @returns {Array} [{ field, revision, current }] for every field that differs
+ */
+const diffRevision = async (revision, post) => {
+  if (!post) {
+    post = await Post.findById(revision.post);
+  }
+  const current = post ? snapshot(post) : {};
+  const previous = snapshot(revision);
+  return REVISION_FIELDS.filter(
+    field => fieldValue(previous[field]) !== fieldValue(current[field])
+  ).map(field => {
+    return {
+      field: field,
+      revision: fieldValue(previous[field]),
+      current: fieldValue(current[field])
+    };
+  });
+};
+
+/**
+ * Remove all revisions of a post and their images (used when the post is
+ * deleted); images that other posts or revisions use are kept
+ * @param {string} postId - Post ID
+ */
+const deleteRevisionsOfPost = async postId => {
+  const revisions = await PostRevision.find({ post: postId });
+  await PostRevision.deleteMany({ post: postId });
+  await clearUnusedImages(revisions.map(r => r.imageUrl));
+};
+
+// Export service functions
+exports.snapshot = snapshot;
+exports.hasChanges = hasChanges;
+exports.recordRevision = recordRevision;
+exports.clearUnusedImages = clearUnusedImages;
+exports.canViewRevisions = canViewRevisions;
+exports.getRevisions = getRevisions;
+exports.getRevision = getRevision;
+exports.diffRevision = diffRevision;
+exports.deleteRevisionsOfPost = deleteRevisionsOfPost;
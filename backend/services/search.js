@@ -0,0 +1,212 @@
+// Import application modules
+const User = require('../models/user');
+const Post = require('../models/post');
+const { escapeHtml } = require('../util/html');
+const { encodeOffsetCursor, decodeOffsetCursor } = require('../util/cursor');
+const { MAX_PAGE_SIZE } = require('./post');
+
+/**
+ * Search service
+ * Full-text search over visible posts (title and content) and users (name)
+ * using the Mongo text indexes. Results are ranked by text score; each hit carries a
+ * short snippet with the matched words wrapped in <mark> tags.
+ */
+
+// Default number of results per page
+const DEFAULT_SIZE = 10;
+
+// Longest accepted search query
+const MAX_QUERY_LENGTH = 200;
+
+// Furthest position a search can page to; every page fetches all results
+// before it, so the offset has to stay small
+const MAX_OFFSET = 500;
+
+// Approximate length of a snippet in characters
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Split a search query into the words used for highlighting
+ * Mongo ignores case and negated terms ("-word") when matching, so we do too
+ * @param {string} query - Search query
+ * @returns {Array} Lowercase words
+ */
+const queryTerms = query => {
+  return query
+    .split(/\s+/)
+    .filter(word => word && word[0] !== '-')
+    .map(word => word.replace(/[^\w]/g, '').toLowerCase())
+    .filter(word => word.length > 0);
+};
+
+/**
+ * Build a highlighted snippet of a text around the first matched word
+ * Words starting with a query term are highlighted, which also covers most
+ * stemmed matches (e.g. "run" highlights "running")
+ * @param {string} text - Full text
+ * @param {Array} terms - Lowercase query terms
+ * @returns {string} HTML-escaped snippet with <mark> tags
+ */
+const buildSnippet = (text, terms) => {
+  const pattern = new RegExp('\\b(?:' + terms.join('|') + ')\\w*', 'gi');
+
+  // Center the snippet on the first match
+  const first = text.search(pattern);
+  let start = Math.max(0, (first < 0 ? 0 : first) - SNIPPET_LENGTH / 4);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space < 0 || space > first ? start : space + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  // Escape the text between matches and wrap the matches in <mark>
+  const excerpt = text.slice(start, end);
+  let snippet = '';
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(excerpt)) !== null) {
+    snippet +=
+      escapeHtml(excerpt.slice(last, match.index)) +
+      '<mark>' + escapeHtml(match[0]) + '</mark>';
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(last));
+
+  return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+};
+
+/**
+ * Pick the text of a post to build the snippet from
+ * The content is preferred; the title is used when only the title matched
+ * @param {Object} post - Post document
+ * @param {Array} terms - Lowercase query terms
+ * @returns {string}
+ */
+const postSnippetText = (post, terms) => {
+  const content = post.content.toLowerCase();
+  const inContent = terms.some(term => content.indexOf(term) >= 0);
+  return inContent ? post.content : post.title;
+};
+
+/**
+ * Run a ranked text query against one collection
+ * @param {Object} Model - Mongoose model with a text index
+ * @param {Object} filter - Filter including the $text condition
+ * @param {number} limit - Maximum number of documents
+ * @returns {Array} Documents with a `score` field, best match first
+ */
+const findRanked = (Model, filter, limit) => {
+  return Model.find(filter, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit);
+};
+
+/**
+ * Search posts and/or users
+ * @param {string} query - Search query (Mongo text search syntax)
+ * @param {Object} options - All optional:
+ *   type: 'all' | 'posts' | 'users' (defaults to 'all')
+ *   first: Number of results (defaults to 10, at most MAX_PAGE_SIZE)
+ *   after: Cursor of the last result of the previous page
+ * @returns {Object} { edges: [{ cursor, score, snippet, post | user }],
+ *                     pageInfo, totalCount }
+ * @throws {Error} 422 for an empty or too long query, an invalid page size or
+ *                 a cursor beyond MAX_OFFSET
+ */
+const search = async (query, options = {}) => {
+  query = (query || '').trim();
+  const terms = queryTerms(query);
+  if (terms.length === 0 || query.length > MAX_QUERY_LENGTH) {
+    const error = new Error('Invalid search query.');
+    error.data = [
+      {
+        message:
+          'Query must contain a word and be at most ' +
+          MAX_QUERY_LENGTH +
+          ' characters.'
+      }
+    ];
+    error.code = 422;
+    throw error;
+  }
+
+  const type = options.type || 'all';
+  const first =
+    options.first === undefined || options.first === null
+      ? DEFAULT_SIZE
+      : options.first;
+  if (!Number.isInteger(first) || first < 0 || first > MAX_PAGE_SIZE) {
+    const error = new Error(
+      'Page size must be between 0 and ' + MAX_PAGE_SIZE + '.'
+    );
+    error.code = 422;
+    throw error;
+  }
+  const offset = options.after ? decodeOffsetCursor(options.after) + 1 : 0;
+  if (offset > MAX_OFFSET) {
+    const error = new Error(
+      'Only the first ' + MAX_OFFSET + ' search results can be paged through.'
+    );
+    error.code = 422;
+    throw error;
+  }
+
+  // Fetch enough of each collection to fill the page after merging by score
+  const limit = offset + first + 1;
+  const textFilter = { $text: { $search: query } };
+  const postFilter = { ...textFilter, ...Post.visibleFilter() };
+  let hits = [];
+  let totalCount = 0;
+
+  if (type === 'all' || type === 'posts') {
+    const posts = await findRanked(Post, postFilter, limit);
+    hits = hits.concat(
+      posts.map(post => {
+        return {
+          score: post.get('score'),
+          snippet: buildSnippet(postSnippetText(post, terms), terms),
+          post: post
+        };
+      })
+    );
+    totalCount += await Post.countDocuments(postFilter);
+  }
+
+  if (type === 'all' || type === 'users') {
+    const users = await findRanked(User, textFilter, limit);
+    hits = hits.concat(
+      users.map(user => {
+        return {
+          score: user.get('score'),
+          snippet: buildSnippet(user.name, terms),
+          user: user
+        };
+      })
+    );
+    totalCount += await User.countDocuments(textFilter);
+  }
+
+  hits.sort((a, b) => b.score - a.score);
+  const page = hits.slice(offset, offset + first);
+  const edges = page.map((hit, i) => {
+    return { ...hit, cursor: encodeOffsetCursor(offset + i) };
+  });
+
+  return {
+    edges: edges,
+    pageInfo: {
+      hasNextPage: hits.length > offset + first && offset + first <= MAX_OFFSET,
+      hasPreviousPage: offset > 0,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    },
+    totalCount: totalCount
+  };
+};
+
+// Export service functions
+exports.search = search;
@@ -0,0 +1,105 @@
+// Import application modules
+const User = require('../models/user');
+const { revokeSessions } = require('../util/token');
+
+/**
+ * User service
+ * Profile and role logic shared by the GraphQL resolvers and the REST
+ * controllers. Functions throw errors with a `code` (HTTP status).
+ */
+
+/**
+ * Get a user by ID
+ * @param {string} userId - User ID
+ * @returns {Object} User document
+ */
+const getUser = async userId => {
+  const user = await User.findById(userId);
+  if (!user) {
+    const error = new Error('No user found!');
+    error.code = 404;
+    throw error;
+  }
+  return user;
+};
+
+/**
+ * Update a user's status message
+ * @param {string} userId - User ID
+ * @param {string} status - New status message
+ * @returns {Object} Updated user document
+ */
+const updateStatus = async (userId, status) => {
+  const user = await getUser(userId);
+  user.status = status;
+  await user.save();
+  return user;
+};
+
+/**
+ * Change the role of a user
+ * The user's sessions are revoked so new tokens carry the new role
+ * @param {Object} actor - { userId, role } of the acting admin
+ * @param {string} userId - ID of the user to change
+ * @param {string} role - New role ('user', 'moderator' or 'admin')
+ * @returns {Object} Updated user document
+ */
+const setUserRole = async (actor, userId, role) => {
+  const user = await getUser(userId);
+  if (user._id.toString() === actor.userId.toString()) {
+    const error = new Error('You cannot change your own role.');
+    error.code = 403;
+    throw error;
+  }
+
+  user.role = role;
+  await user.save();
+  await revokeSessions({ userId: user._id });
+  return user;
+};
+
+/**
+ * Follow another user (no-op if already following)
+ * Both sides of the relationship are updated with $addToSet, so repeating
+ * the call is harmless
+ * @param {Object} actor - { userId, role } of the follower
+ * @param {string} userId - ID of the user to follow
+ * @returns {Object} Followed user document
+ */
+const followUser = async (actor, userId) => {
+  if (userId.toString() === actor.userId.toString()) {
+    const error = new Error('You cannot follow yourself.');
+    error.code = 422;
+    throw error;
+  }
+  await getUser(userId);
+  await User.updateOne({ _id: actor.userId }, { $addToSet: { following: userId } });
+  return User.findByIdAndUpdate(
+    userId,
+    { $addToSet: { followers: actor.userId } },
+    { new: true }
+  );
+};
+
+/**
+ * Stop following a user (no-op if not following)
+ * @param {Object} actor - { userId, role } of the follower
+ * @param {string} userId - ID of the user to unfollow
+ * @returns {Object} Unfollowed user document
+ */
+const unfollowUser = async (actor, userId) => {
+  await getUser(userId);
+  await User.updateOne({ _id: actor.userId }, { $pull: { following: userId } });
+  return User.findByIdAndUpdate(
+    userId,
+    { $pull: { followers: actor.userId } },
+    { new: true }
+  );
+};
+
+// Export service functions
+exports.getUser = getUser;
+exports.updateStatus = updateStatus;
+exports.setUserRole = setUserRole;
+exports.followUser = followUser;
+exports.unfollowUser = unfollowUser;
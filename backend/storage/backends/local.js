@@ -0,0 +1,112 @@
+// Import Node.js core modules
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Local disk storage
+ * Files are written below a directory on this server and served by
+ * express.static, so only a single server instance can use them.
+ *
+ * @param {Object} options - { dir } directory keys are relative to
+ * @returns {Object} Storage with put, get, exists, getUrl, delete and list
+ */
+module.exports = options => {
+  /**
+   * Absolute path of a key; keys can't point outside the directory
+   * @param {string} key - e.g. 'images/photo.jpg'
+   * @returns {string}
+   */
+  const resolve = key => {
+    const filePath = path.resolve(options.dir, key);
+    if (!filePath.startsWith(path.resolve(options.dir) + path.sep)) {
+      throw new Error('Invalid storage key: ' + key);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    /**
+     * Store a file, replacing an existing one with the same key
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @returns {Promise}
+     */
+    put: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    /**
+     * Read a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} Contents, null if there is no such file
+     */
+    get: async key => {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return null;
+        }
+        throw err;
+      }
+    },
+    /**
+     * Whether a file exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    exists: key => {
+      return fs.promises.access(resolve(key)).then(() => true, () => false);
+    },
+    /**
+     * URL clients load the file from
+     * The key is the path below the server root, e.g. 'images/photo.jpg'
+     * @param {string} key - Storage key
+     * @returns {string}
+     */
+    getUrl: key => key,
+    /**
+     * Delete a file; deleting a missing file succeeds
+     * @param {string} key - Storage key
+     * @returns {Promise}
+     */
+    delete: async key => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    },
+    /**
+     * Files directly in a directory
+     * @param {string} prefix - Directory key ending in '/', e.g. 'images/'
+     * @returns {Promise<Array>} [{ key, lastModified }]
+     */
+    list: async prefix => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(resolve(prefix), {
+          withFileTypes: true
+        });
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return [];
+        }
+        throw err;
+      }
+      const files = [];
+      for (const entry of entries) {
+        if (entry.isFile()) {
+          const key = prefix + entry.name;
+          const stats = await fs.promises.stat(resolve(key));
+          files.push({ key: key, lastModified: stats.mtime });
+        }
+      }
+      return files;
+    }
+  };
+};
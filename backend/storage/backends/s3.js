@@ -0,0 +1,153 @@
+// Import third-party packages
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+/**
+ * S3-compatible storage
+ * Works with AWS S3 and self-hosted services such as MinIO (set an endpoint
+ * and path-style addressing). Objects are read by clients directly from the
+ * bucket, so it has to allow public reads of the uploaded keys.
+ *
+ * @param {Object} options - bucket, region, endpoint, accessKeyId,
+ *                           secretAccessKey, forcePathStyle, publicUrl
+ * @returns {Object} Storage with put, get, exists, getUrl, delete and list
+ */
+module.exports = options => {
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint,
+    forcePathStyle: options.forcePathStyle,
+    // Without configured keys the SDK's default credential chain is used
+    credentials: options.accessKeyId
+      ? {
+          accessKeyId: options.accessKeyId,
+          secretAccessKey: options.secretAccessKey
+        }
+      : undefined
+  });
+
+  // Base URL of the bucket as seen by clients
+  let publicUrl = options.publicUrl;
+  if (!publicUrl) {
+    publicUrl = options.endpoint
+      ? options.endpoint.replace(/\/+$/, '') + '/' + options.bucket
+      : 'https://' + options.bucket + '.s3.' + options.region + '.amazonaws.com';
+  }
+
+  /**
+   * Whether an error means the object doesn't exist
+   * @param {Error} err - Error thrown by the SDK
+   * @returns {boolean}
+   */
+  const isNotFound = err => {
+    return (
+      err.name === 'NoSuchKey' ||
+      err.name === 'NotFound' ||
+      (err.$metadata && err.$metadata.httpStatusCode === 404)
+    );
+  };
+
+  return {
+    name: 's3',
+    /**
+     * Store an object, replacing an existing one with the same key
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @param {string} contentType - Mime type served to clients (optional)
+     * @returns {Promise}
+     */
+    put: async (key, buffer, contentType) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: options.bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType
+        })
+      );
+    },
+    /**
+     * Read an object
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} Contents, null if there is no such object
+     */
+    get: async key => {
+      try {
+        const result = await client.send(
+          new GetObjectCommand({ Bucket: options.bucket, Key: key })
+        );
+        return Buffer.from(await result.Body.transformToByteArray());
+      } catch (err) {
+        if (isNotFound(err)) {
+          return null;
+        }
+        throw err;
+      }
+    },
+    /**
+     * Whether an object exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    exists: async key => {
+      try {
+        await client.send(
+          new HeadObjectCommand({ Bucket: options.bucket, Key: key })
+        );
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) {
+          return false;
+        }
+        throw err;
+      }
+    },
+    /**
+     * URL clients load the object from
+     * @param {string} key - Storage key
+     * @returns {string}
+     */
+    getUrl: key => publicUrl + '/' + key,
+    /**
+     * Delete an object; deleting a missing object succeeds
+     * @param {string} key - Storage key
+     * @returns {Promise}
+     */
+    delete: async key => {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: options.bucket, Key: key })
+      );
+    },
+    /**
+     * Objects directly below a prefix
+     * @param {string} prefix - Key prefix ending in '/', e.g. 'images/'
+     * @returns {Promise<Array>} [{ key, lastModified }]
+     */
+    list: async prefix => {
+      const files = [];
+      let token;
+      do {
+        // The delimiter leaves out keys in deeper "directories"
+        const result = await client.send(
+          new ListObjectsV2Command({
+            Bucket: options.bucket,
+            Prefix: prefix,
+            Delimiter: '/',
+            ContinuationToken: token
+          })
+        );
+        (result.Contents || []).forEach(object => {
+          files.push({ key: object.Key, lastModified: object.LastModified });
+        });
+        token = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (token);
+      return files;
+    }
+  };
+};
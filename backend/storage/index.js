@@ -0,0 +1,105 @@
+// Import Node.js core modules
+const path = require('path');
+
+// Import application modules
+const config = require('../config');
+const createLocalStorage = require('./backends/local');
+const createS3Storage = require('./backends/s3');
+
+/**
+ * Create the storage selected in configuration
+ * Every storage exposes the same interface:
+ *   put(key, buffer, contentType) => Promise
+ *   get(key) => Promise<Buffer|null>
+ *   exists(key) => Promise<boolean>
+ *   getUrl(key) => string
+ *   delete(key) => Promise
+ *   list(prefix) => Promise<[{ key, lastModified }]>
+ * Keys are paths such as 'images/photo.jpg'.
+ * @returns {Object} Storage
+ */
+const createStorage = () => {
+  switch (config.storage.driver) {
+    case 's3':
+      return createS3Storage(config.storage.s3);
+    default:
+      return createLocalStorage({ dir: path.join(__dirname, '..') });
+  }
+};
+
+// Active storage, created lazily on first use
+let storage;
+
+/**
+ * Active storage
+ * @returns {Object} Storage
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * Replace the active storage (e.g. with a stub in tests)
+ * @param {Object} customStorage - Object implementing the storage interface
+ */
+const setStorage = customStorage => {
+  storage = customStorage;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Storage key
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - Mime type (optional)
+ * @returns {Promise}
+ */
+const putFile = (key, buffer, contentType) => {
+  return getStorage().put(key, buffer, contentType);
+};
+
+/**
+ * Read a file
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer|null>} Contents, null if there is no such file
+ */
+const getFile = key => getStorage().get(key);
+
+/**
+ * Whether a file exists
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>}
+ */
+const fileExists = key => getStorage().exists(key);
+
+/**
+ * URL clients load a file from
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+const getFileUrl = key => getStorage().getUrl(key);
+
+/**
+ * Delete a file; deleting a missing file succeeds
+ * @param {string} key - Storage key
+ * @returns {Promise}
+ */
+const deleteFile = key => getStorage().delete(key);
+
+/**
+ * Files directly below a prefix
+ * @param {string} prefix - Key prefix ending in '/', e.g. 'images/'
+ * @returns {Promise<Array>} [{ key, lastModified }]
+ */
+const listFiles = prefix => getStorage().list(prefix);
+
+// Export storage functions
+exports.setStorage = setStorage;
+exports.putFile = putFile;
+exports.getFile = getFile;
+exports.fileExists = fileExists;
+exports.getFileUrl = getFileUrl;
+exports.deleteFile = deleteFile;
+exports.listFiles = listFiles;
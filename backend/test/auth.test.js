@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const bcrypt = require('bcryptjs');
+
+const mail = require('../mail');
+const createFileTransport = require('../mail/transports/file');
+const authService = require('../services/auth');
+const { fakeUsers, addUser } = require('./helpers');
+
+describe('password reset', () => {
+  let users;
+  let outbox;
+  beforeEach(t => {
+    users = fakeUsers(t);
+    outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    mail.setTransport(createFileTransport({ dir: outbox }));
+    t.after(() => fs.rmSync(outbox, { recursive: true, force: true }));
+  });
+
+  /**
+   * Read the messages the file transport wrote
+   */
+  const sentMails = () => {
+    return fs.readdirSync(outbox).map(name => {
+      return JSON.parse(fs.readFileSync(path.join(outbox, name), 'utf8'));
+    });
+  };
+
+  it('mails a single-use token that sets a new password', async () => {
+    const user = await addUser(users, 'old-password');
+    await authService.requestPasswordReset(user.email);
+    const mails = sentMails();
+    assert.strictEqual(mails.length, 1);
+    assert.strictEqual(mails[0].to, user.email);
+    const token = /token=([0-9a-f]+)/.exec(mails[0].text)[1];
+
+    await authService.resetPassword(token, 'new-password');
+    assert.ok(await bcrypt.compare('new-password', user.password));
+    await assert.rejects(authService.resetPassword(token, 'other-password'), {
+      code: 400
+    });
+  });
+
+  it('lets only one of two parallel requests use a token', async () => {
+    const user = await addUser(users, 'old-password');
+    await authService.requestPasswordReset(user.email);
+    const token = /token=([0-9a-f]+)/.exec(sentMails()[0].text)[1];
+
+    const results = await Promise.allSettled([
+      authService.resetPassword(token, 'first-password'),
+      authService.resetPassword(token, 'second-password')
+    ]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), [
+      'fulfilled',
+      'rejected'
+    ]);
+    assert.strictEqual(results.find(r => r.status === 'rejected').reason.code, 400);
+    const winner = results[0].status === 'fulfilled' ? 'first-password' : 'second-password';
+    assert.ok(await bcrypt.compare(winner, user.password));
+  });
+
+  it('answers the same for unknown addresses', async () => {
+    assert.strictEqual(await authService.requestPasswordReset('nobody@example.com'), true);
+    assert.strictEqual(sentMails().length, 0);
+  });
+
+  it("doesn't report mail failures", async t => {
+    const user = await addUser(users, 'old-password');
+    const log = t.mock.method(console, 'log', () => {});
+    mail.setTransport({
+      send: async () => {
+        throw new Error('SMTP server unavailable');
+      }
+    });
+    assert.strictEqual(await authService.requestPasswordReset(user.email), true);
+    assert.strictEqual(log.mock.callCount(), 1);
+  });
+});
+
+describe('signup', () => {
+  let users;
+  beforeEach(t => {
+    users = fakeUsers(t);
+  });
+
+  it('keeps the account when the verification email fails', async t => {
+    t.mock.method(console, 'log', () => {});
+    mail.setTransport({
+      send: async () => {
+        throw new Error('SMTP server unavailable');
+      }
+    });
+    const user = await authService.createUser({
+      email: 'new@example.com',
+      name: 'New',
+      password: 'password'
+    });
+    assert.strictEqual(user.emailVerified, false);
+    assert.strictEqual(users.length, 1);
+    assert.ok(user.emailVerificationTokenHash);
+  });
+});
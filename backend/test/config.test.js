@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+/**
+ * Load the configuration in a fresh process with only the given variables
+ * (the module resolves the configuration once, when it is first required)
+ * @param {Object} env - Environment variables
+ * @returns {Object} { config } on success, { error } with the report otherwise
+ */
+const loadWith = env => {
+  const result = spawnSync(
+    process.execPath,
+    [
+      '-e',
+      'try { console.log(JSON.stringify({ config: require("./config") })); }' +
+        ' catch (err) { console.log(JSON.stringify({ error: err.message })); }'
+    ],
+    {
+      cwd: path.join(__dirname, '..'),
+      env: { PATH: process.env.PATH, ...env },
+      encoding: 'utf8'
+    }
+  );
+  return JSON.parse(result.stdout);
+};
+
+describe('configuration', () => {
+  it('reads the config file of the environment and applies defaults', () => {
+    const { config } = loadWith({ NODE_ENV: 'development' });
+    assert.strictEqual(config.env, 'development');
+    assert.strictEqual(config.db.uri, 'mongodb://localhost:27017/messages');
+    assert.strictEqual(config.jwt.expiresIn, '15m');
+    assert.strictEqual(config.rateLimit.enabled, true);
+  });
+
+  it('lets environment variables override the file and converts them', () => {
+    const { config } = loadWith({
+      NODE_ENV: 'development',
+      PORT: '3000',
+      MONGODB_URI: 'mongodb://db/other',
+      RATE_LIMIT_ENABLED: 'no'
+    });
+    assert.strictEqual(config.port, 3000);
+    assert.strictEqual(config.db.uri, 'mongodb://db/other');
+    assert.strictEqual(config.rateLimit.enabled, false);
+  });
+
+  it('reports every problem at once', () => {
+    const { error } = loadWith({
+      NODE_ENV: 'staging',
+      PORT: '70000',
+      MAX_UPLOAD_BYTES: 'lots',
+      STORAGE_DRIVER: 'ftp'
+    });
+    const lines = error.split('\n');
+    assert.strictEqual(lines[0], 'Invalid configuration for environment "staging":');
+    assert.deepStrictEqual(lines.slice(1), [
+      '  - port must be an integer between 1 and 65535 (from environment variable PORT)',
+      '  - db.uri is required: set MONGODB_URI or add it to config/staging.json',
+      '  - jwt.secret is required: set JWT_SECRET or add it to config/staging.json',
+      '  - uploads.maxFileSize must be a number (from environment variable MAX_UPLOAD_BYTES)',
+      '  - storage.driver must be one of: local, s3 (from environment variable STORAGE_DRIVER)'
+    ]);
+  });
+
+  it('requires settings that depend on other settings', () => {
+    const { error } = loadWith({
+      NODE_ENV: 'production',
+      MONGODB_URI: 'mongodb://db/posts',
+      JWT_SECRET: 'secret',
+      STORAGE_DRIVER: 's3',
+      MAIL_TRANSPORT: 'console'
+    });
+    assert.match(error, /storage\.s3\.bucket is required: set S3_BUCKET/);
+    assert.match(error, /mail\.transport must be one of: smtp/);
+  });
+});
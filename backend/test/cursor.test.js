@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const Post = require('../models/post');
+const postService = require('../services/post');
+const { encodeCursor, decodeCursor } = require('../util/cursor');
+const { fakeFind } = require('./helpers');
+
+describe('cursors', () => {
+  it('round-trip the position of a document', () => {
+    const post = new Post({ createdAt: new Date('2026-03-01T10:00:00.123Z') });
+    const position = decodeCursor(encodeCursor(post));
+    assert.strictEqual(position.createdAt.toISOString(), '2026-03-01T10:00:00.123Z');
+    assert.strictEqual(position.id, post._id.toString());
+  });
+
+  it('reject malformed cursors with 400', () => {
+    const encode = text => Buffer.from(text).toString('base64');
+    const cursors = [
+      '',
+      'not base64 at all',
+      encode('12:abc'),
+      encode('soon:' + 'a'.repeat(24)),
+      encode('1:2:3')
+    ];
+    cursors.forEach(cursor => {
+      assert.throws(() => decodeCursor(cursor), { code: 400, message: 'Invalid cursor.' });
+    });
+  });
+});
+
+describe('postsConnection', () => {
+  let posts;
+  beforeEach(t => {
+    // Nine posts, three of them created at the same time, plus a draft
+    const start = new Date('2026-03-01T00:00:00Z').getTime();
+    const times = [0, 1, 2, 3, 3, 3, 4, 5, 6];
+    posts = times.map((minute, i) => {
+      return new Post({
+        title: 'Post ' + i,
+        status: 'published',
+        createdAt: new Date(start + minute * 60 * 1000)
+      });
+    });
+    const draft = new Post({ title: 'Draft', status: 'draft', createdAt: new Date(start) });
+    t.mock.method(Post, 'find', fakeFind(posts.concat(draft)));
+  });
+
+  // Titles of the posts on a page
+  const titles = connection => connection.edges.map(edge => edge.node.title);
+
+  it('pages forward through every post once, newest first', async () => {
+    const seen = [];
+    let after = null;
+    let connection;
+    do {
+      connection = await postService.getPostsConnection({ first: 4, after: after });
+      seen.push(...titles(connection));
+      after = connection.pageInfo.endCursor;
+      assert.strictEqual(connection.totalCount, 9);
+      assert.strictEqual(connection.pageInfo.hasPreviousPage, seen.length > 4);
+    } while (connection.pageInfo.hasNextPage);
+
+    assert.strictEqual(seen.length, 9);
+    assert.strictEqual(new Set(seen).size, 9);
+    assert.deepStrictEqual(seen.slice(0, 2), ['Post 8', 'Post 7']);
+    assert.strictEqual(seen[8], 'Post 0');
+  });
+
+  it('pages backward from a cursor', async () => {
+    const first = await postService.getPostsConnection({ first: 5 });
+    const second = await postService.getPostsConnection({
+      first: 5,
+      after: first.pageInfo.endCursor
+    });
+    const back = await postService.getPostsConnection({
+      last: 5,
+      before: second.pageInfo.startCursor
+    });
+    assert.deepStrictEqual(titles(back), titles(first));
+    assert.strictEqual(back.pageInfo.hasPreviousPage, false);
+    assert.strictEqual(back.pageInfo.hasNextPage, true);
+  });
+
+  it('rejects page sizes over the limit', async () => {
+    await assert.rejects(postService.getPostsConnection({ first: 51 }), { code: 422 });
+  });
+});
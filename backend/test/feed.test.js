@@ -0,0 +1,86 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../app');
+const Post = require('../models/post');
+const User = require('../models/user');
+const postService = require('../services/post');
+const { query, signIn, request } = require('./helpers');
+
+// A creator with everything a User document holds that must stay private
+const creator = new User({
+  email: 'creator@example.com',
+  name: 'Creator',
+  password: '$2a$12$hashedpasswordhashedpasswordhashedpasswordhashedpa',
+  emailVerified: true,
+  emailVerificationTokenHash: 'verification-hash',
+  passwordResetTokenHash: 'reset-hash',
+  failedLoginAttempts: 2
+});
+
+const viewer = new User({ email: 'viewer@example.com', name: 'Viewer' });
+
+/**
+ * Assert that a response contains no private data of the creator
+ * @param {Object} response - Response of request()
+ */
+const assertNoPrivateFields = response => {
+  ['password', 'email', 'TokenHash', 'failedLoginAttempts', 'creator@example.com'].forEach(
+    text => assert.ok(!response.text.includes(text), 'response contains ' + text)
+  );
+};
+
+describe('REST posts', () => {
+  let post;
+  let authorization;
+  beforeEach(t => {
+    post = new Post({
+      title: 'A post',
+      content: 'Some content',
+      imageUrl: 'images/post.png',
+      creator: creator,
+      status: 'published'
+    });
+    authorization = signIn(t, viewer);
+  });
+
+  it('sends only the name of the creator of a post', async t => {
+    t.mock.method(Post, 'findById', () => query(post));
+    const response = await request(app, 'GET', '/feed/post/' + post._id, {
+      headers: { Authorization: authorization }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.post.creator, {
+      _id: creator._id.toString(),
+      name: 'Creator'
+    });
+    assertNoPrivateFields(response);
+  });
+
+  it('sends only the names of creators in the feed', async t => {
+    post.creator = creator._id;
+    t.mock.method(postService, 'getPosts', async () => ({ posts: [post], totalPosts: 1 }));
+    const populate = t.mock.method(Post, 'populate', async posts => {
+      posts.forEach(p => {
+        p.creator = creator;
+      });
+      return posts;
+    });
+    const response = await request(app, 'GET', '/feed/posts', {
+      headers: { Authorization: authorization }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(populate.mock.calls[0].arguments[1].select, '_id name');
+    assert.deepStrictEqual(response.body.posts[0].creator, {
+      _id: creator._id.toString(),
+      name: 'Creator'
+    });
+    assertNoPrivateFields(response);
+  });
+
+  it('requires a logged in user', async t => {
+    t.mock.method(console, 'log', () => {});
+    const response = await request(app, 'GET', '/feed/posts');
+    assert.strictEqual(response.status, 401);
+  });
+});
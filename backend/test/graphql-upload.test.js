@@ -0,0 +1,77 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../app');
+const Post = require('../models/post');
+const User = require('../models/user');
+const postService = require('../services/post');
+const { setStorage } = require('../storage');
+const { signIn, request, memoryStorage, createImage } = require('./helpers');
+
+const createPostMutation = `
+  mutation CreatePost($image: Upload) {
+    createPost(postInput: { title: "A new post", content: "Some content" }, image: $image) {
+      title
+      imageUrl
+    }
+  }
+`;
+
+/**
+ * Build a GraphQL multipart request uploading an image for $image
+ * @param {Buffer} image - File contents
+ * @returns {FormData}
+ */
+const uploadForm = image => {
+  const form = new FormData();
+  form.append(
+    'operations',
+    JSON.stringify({ query: createPostMutation, variables: { image: null } })
+  );
+  form.append('map', JSON.stringify({ 0: ['variables.image'] }));
+  form.append('0', new Blob([image]), 'photo.png');
+  return form;
+};
+
+describe('GraphQL uploads', () => {
+  const user = new User({ email: 'user@example.com', name: 'User' });
+  let storage;
+  let createPost;
+  beforeEach(t => {
+    storage = memoryStorage();
+    setStorage(storage);
+    createPost = t.mock.method(postService, 'createPost', async (actor, input) => {
+      return new Post({
+        title: input.title,
+        content: input.content,
+        imageUrl: input.imageUrl,
+        creator: user._id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+    });
+  });
+
+  it('stores the image of a post mutation', async t => {
+    const response = await request(app, 'POST', '/graphql', {
+      headers: { Authorization: signIn(t, user) },
+      body: uploadForm(await createImage('png', 20, 20))
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.errors, undefined);
+    const imageUrl = response.body.data.createPost.imageUrl;
+    assert.match(imageUrl, /^images\/[0-9a-f]{32}\.png$/);
+    assert.ok(storage.files.has(imageUrl));
+  });
+
+  it('rejects uploads of anonymous clients before parsing them', async t => {
+    t.mock.method(console, 'log', () => {});
+    const response = await request(app, 'POST', '/graphql', {
+      body: uploadForm(await createImage('png', 20, 20))
+    });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.message, 'Not authenticated.');
+    assert.strictEqual(createPost.mock.callCount(), 0);
+    assert.strictEqual(storage.files.size, 0);
+  });
+});
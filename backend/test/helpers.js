@@ -0,0 +1,354 @@
+// Import third-party packages
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+
+// Import application modules
+const config = require('../config');
+const User = require('../models/user');
+const Session = require('../models/session');
+
+/**
+ * Shared test helpers
+ * Tests run without a database: model methods are replaced with t.mock
+ * and return plain values or the chainable queries built here.
+ */
+
+/**
+ * Build a stand-in for a Mongoose query
+ * Chained calls (sort, skip, limit, populate, ...) are recorded and the
+ * query resolves to the given result when awaited
+ * @param {*} result - Value the query resolves to
+ * @returns {Object} Thenable query with a `calls` log
+ */
+const query = result => {
+  const calls = [];
+  const chain = {
+    calls: calls,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['sort', 'skip', 'limit', 'populate', 'select', 'lean'].forEach(method => {
+    chain[method] = (...args) => {
+      calls.push({ method: method, args: args });
+      return chain;
+    };
+  });
+  return chain;
+};
+
+/**
+ * Value of a field in a comparable form (dates as numbers, ids as strings)
+ * @param {*} value - Field or filter value
+ * @returns {*}
+ */
+const comparable = value => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Whether a document matches a MongoDB filter
+ * Supports what the services use: equality (also against array fields),
+ * $lt, $lte, $gt, $gte, $ne, $in, $nin, $exists, $or and $and
+ * @param {Object} doc - Document
+ * @param {Object} filter - Filter
+ * @returns {boolean}
+ */
+const matchesFilter = (doc, filter) => {
+  return Object.keys(filter).every(key => {
+    const condition = filter[key];
+    if (key === '$or') {
+      return condition.some(part => matchesFilter(doc, part));
+    }
+    if (key === '$and') {
+      return condition.every(part => matchesFilter(doc, part));
+    }
+    const raw = doc.get ? doc.get(key) : doc[key];
+    const values = Array.isArray(raw) ? raw.map(comparable) : [comparable(raw)];
+    const isOperator =
+      condition &&
+      typeof condition === 'object' &&
+      !(condition instanceof Date) &&
+      typeof condition.toHexString !== 'function' &&
+      Object.keys(condition).every(op => op.startsWith('$'));
+    if (!isOperator) {
+      return values.includes(comparable(condition));
+    }
+    return Object.keys(condition).every(op => {
+      const operand = condition[op];
+      const value = values[0];
+      switch (op) {
+        case '$lt':
+          return value !== null && value < comparable(operand);
+        case '$lte':
+          return value !== null && value <= comparable(operand);
+        case '$gt':
+          return value !== null && value > comparable(operand);
+        case '$gte':
+          return value !== null && value >= comparable(operand);
+        case '$ne':
+          return !values.includes(comparable(operand));
+        case '$in':
+          return operand.some(item => values.includes(comparable(item)));
+        case '$nin':
+          return !operand.some(item => values.includes(comparable(item)));
+        case '$exists':
+          return (value !== null) === operand;
+        default:
+          throw new Error('Unsupported filter operator ' + op);
+      }
+    });
+  });
+};
+
+/**
+ * In-memory stand-in for Model.find
+ * Filters the documents and applies sort, skip and limit; countDocuments()
+ * counts the matches
+ * @param {Array} docs - Documents of the collection
+ * @returns {Function} find(filter) returning a chainable query
+ */
+const fakeFind = docs => filter => {
+  let sort = null;
+  let skip = 0;
+  let limit = 0;
+  const run = () => {
+    const found = docs.filter(doc => matchesFilter(doc, filter || {}));
+    if (sort) {
+      const keys = Object.keys(sort);
+      found.sort((a, b) => {
+        for (const key of keys) {
+          const x = comparable(a.get ? a.get(key) : a[key]);
+          const y = comparable(b.get ? b.get(key) : b[key]);
+          if (x < y) {
+            return -sort[key];
+          }
+          if (x > y) {
+            return sort[key];
+          }
+        }
+        return 0;
+      });
+    }
+    return found.slice(skip, limit ? skip + limit : undefined);
+  };
+  const chain = {
+    sort: spec => {
+      sort = spec;
+      return chain;
+    },
+    skip: count => {
+      skip = count;
+      return chain;
+    },
+    limit: count => {
+      limit = count;
+      return chain;
+    },
+    populate: () => chain,
+    countDocuments: async () => run().length,
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * In-memory storage implementing the interface of storage/index.js
+ * @returns {Object} Storage; `files` maps keys to { buffer, contentType, lastModified }
+ */
+const memoryStorage = () => {
+  const files = new Map();
+  return {
+    name: 'memory',
+    files: files,
+    put: async (key, buffer, contentType) => {
+      files.set(key, { buffer: buffer, contentType: contentType, lastModified: new Date() });
+    },
+    get: async key => (files.has(key) ? files.get(key).buffer : null),
+    exists: async key => files.has(key),
+    getUrl: key => 'memory://' + key,
+    delete: async key => {
+      files.delete(key);
+    },
+    list: async prefix => {
+      return Array.from(files.keys())
+        .filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+        .map(key => ({ key: key, lastModified: files.get(key).lastModified }));
+    }
+  };
+};
+
+/**
+ * Create an image file
+ * @param {string} format - 'png', 'jpeg', 'webp' or 'gif'
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Promise<Buffer>} Encoded image
+ */
+const createImage = (format, width, height) => {
+  return sharp({
+    create: {
+      width: width,
+      height: height,
+      channels: 3,
+      background: { r: 200, g: 40, b: 40 }
+    }
+  })
+    .toFormat(format)
+    .toBuffer();
+};
+
+/**
+ * Keep users in an array and answer the queries the auth service makes
+ * Every query waits a tick, so parallel requests interleave as they would
+ * against a database
+ * @param {Object} t - Test context, the mocks are restored after the test
+ * @returns {Array} Stored users
+ */
+const fakeUsers = t => {
+  const users = [];
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const matches = (user, filter) => {
+    return Object.keys(filter).every(key => {
+      const value = filter[key];
+      if (value && value.$gt) {
+        return user[key] > value.$gt;
+      }
+      if (value && value.$gte !== undefined) {
+        return user[key] >= value.$gte;
+      }
+      return String(user[key]) === String(value);
+    });
+  };
+  t.mock.method(User.prototype, 'save', async function() {
+    await tick();
+    if (!users.includes(this)) {
+      users.push(this);
+    }
+    return this;
+  });
+  t.mock.method(User, 'findOne', async filter => {
+    await tick();
+    return users.find(user => matches(user, filter)) || null;
+  });
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const user = users.find(u => matches(u, filter));
+    if (user) {
+      Object.keys(update.$inc || {}).forEach(key => {
+        user[key] += update.$inc[key];
+      });
+      Object.keys(update.$unset || {}).forEach(key => {
+        user.set(key, undefined);
+      });
+    }
+    return user || null;
+  });
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    await tick();
+    const user = users.find(u => matches(u, filter));
+    if (user) {
+      user.set(update.$set);
+      Object.keys(update.$inc).forEach(key => {
+        user[key] += update.$inc[key];
+      });
+    }
+  });
+  t.mock.method(Session.prototype, 'save', async function() {
+    return this;
+  });
+  t.mock.method(Session, 'updateMany', async () => ({ nModified: 0 }));
+  return users;
+};
+
+/**
+ * Add a verified user with a known password
+ * @param {Array} users - Users returned by fakeUsers
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} User document
+ */
+const addUser = async (users, password) => {
+  const user = new User({
+    email: 'user@example.com',
+    name: 'User',
+    password: await bcrypt.hash(password, 4),
+    emailVerified: true
+  });
+  users.push(user);
+  return user;
+};
+
+/**
+ * Log a user in without a database
+ * Signs an access token for a new session and makes Session.findById
+ * return that session, so the auth middleware accepts the token
+ * @param {Object} t - Test context, the mock is restored after the test
+ * @param {Object} user - User document
+ * @returns {string} Authorization header value
+ */
+const signIn = (t, user) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'unused',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  t.mock.method(Session, 'findById', async id => {
+    return String(id) === String(session._id) ? session : null;
+  });
+  const token = jwt.sign(
+    {
+      userId: user._id.toString(),
+      email: user.email,
+      role: user.role || 'user',
+      sid: session._id.toString()
+    },
+    config.jwt.secret,
+    { expiresIn: '1h' }
+  );
+  return 'Bearer ' + token;
+};
+
+/**
+ * Send a request to an Express app on a random local port
+ * @param {Object} app - Express application
+ * @param {string} method - HTTP method
+ * @param {string} url - Path, e.g. '/feed/posts'
+ * @param {Object} options - headers and body (string, Buffer or FormData)
+ * @returns {Promise<Object>} { status, headers, text, body } body parsed as JSON
+ */
+const request = (app, method, url, options = {}) => {
+  const server = app.listen(0, '127.0.0.1');
+  return new Promise(resolve => server.once('listening', resolve))
+    .then(() => {
+      return fetch('http://127.0.0.1:' + server.address().port + url, {
+        method: method,
+        headers: options.headers,
+        body: options.body
+      });
+    })
+    .then(async response => {
+      const text = await response.text();
+      return {
+        status: response.status,
+        headers: response.headers,
+        text: text,
+        body: text ? JSON.parse(text) : null
+      };
+    })
+    .finally(() => new Promise(resolve => server.close(resolve)));
+};
+
+// Export test helpers
+exports.query = query;
+exports.fakeFind = fakeFind;
+exports.memoryStorage = memoryStorage;
+exports.createImage = createImage;
+exports.fakeUsers = fakeUsers;
+exports.addUser = addUser;
+exports.signIn = signIn;
+exports.request = request;
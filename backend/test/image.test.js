@@ -0,0 +1,96 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const sharp = require('sharp');
+
+const { setStorage } = require('../storage');
+const { saveImage, processImage, withSavedImage } = require('../util/image');
+const { memoryStorage, createImage } = require('./helpers');
+
+/**
+ * Assert that a promise rejects with an upload error
+ * @param {Promise} promise - Pending operation
+ * @param {number} code - Expected HTTP status
+ * @param {string} message - Expected error message
+ */
+const rejectsWith = (promise, code, message) => {
+  return assert.rejects(promise, err => {
+    assert.strictEqual(err.code, code);
+    assert.strictEqual(err.message, message);
+    assert.ok(err.data[0].message);
+    return true;
+  });
+};
+
+describe('image uploads', () => {
+  let storage;
+  beforeEach(() => {
+    storage = memoryStorage();
+    setStorage(storage);
+  });
+
+  ['png', 'jpeg', 'webp', 'gif'].forEach(format => {
+    it('stores ' + format + ' images with their variants', async () => {
+      const { imageUrl, image } = await saveImage(await createImage(format, 1200, 600));
+      const ext = format === 'jpeg' ? 'jpg' : format;
+      assert.match(imageUrl, new RegExp('^images/[0-9a-f]{32}\\.' + ext + '$'));
+      assert.strictEqual(image.width, 1200);
+      assert.strictEqual(image.height, 600);
+      assert.strictEqual(image.thumbnailUrl, imageUrl.replace('.' + ext, '-thumbnail.' + ext));
+      assert.strictEqual(image.mediumUrl, imageUrl.replace('.' + ext, '-medium.' + ext));
+      assert.strictEqual(storage.files.size, 3);
+      for (const file of storage.files.values()) {
+        assert.strictEqual(file.contentType, 'image/' + format);
+      }
+    });
+  });
+
+  it('never enlarges small images', async () => {
+    const { image } = await saveImage(await createImage('png', 100, 50));
+    const medium = await sharp(storage.files.get(image.mediumUrl).buffer).metadata();
+    assert.strictEqual(medium.width, 100);
+  });
+
+  it('rejects files that are not images', async () => {
+    await rejectsWith(saveImage(Buffer.from('<svg></svg>')), 415, 'Unsupported file type.');
+    assert.strictEqual(storage.files.size, 0);
+  });
+
+  it('rejects files whose content does not match their signature', async () => {
+    const png = await createImage('png', 10, 10);
+    const fake = Buffer.concat([png.subarray(0, 8), Buffer.from('not really a png')]);
+    await rejectsWith(saveImage(fake), 422, 'Invalid image.');
+    assert.strictEqual(storage.files.size, 0);
+  });
+
+  it('removes images that break while resizing', async () => {
+    const jpeg = await createImage('jpeg', 400, 400);
+    await assert.rejects(saveImage(jpeg.subarray(0, 200)), { code: 422 });
+    assert.strictEqual(storage.files.size, 0);
+  });
+
+  it('rejects images over the configured dimensions', async () => {
+    await rejectsWith(saveImage(await createImage('png', 6001, 1)), 422, 'Image is too large.');
+    assert.strictEqual(storage.files.size, 0);
+  });
+
+  it('removes the image when the operation using it fails', async () => {
+    const png = await createImage('png', 10, 10);
+    await assert.rejects(
+      withSavedImage(png, async () => {
+        throw new Error('Validation failed.');
+      }),
+      { message: 'Validation failed.' }
+    );
+    assert.strictEqual(storage.files.size, 0);
+  });
+
+  it('only processes stored files in images/', async () => {
+    await rejectsWith(processImage('../package.json'), 422, 'Invalid image.');
+    await rejectsWith(processImage('images/missing.png'), 422, 'Invalid image.');
+    storage.files.set('images/old.png', { buffer: await createImage('png', 300, 300) });
+    const image = await processImage('images/old.png');
+    assert.strictEqual(image.thumbnailUrl, 'images/old-thumbnail.png');
+    assert.ok(storage.files.has('images/old-medium.png'));
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parse, validate, specifiedRules, getIntrospectionQuery } = require('graphql');
+
+const config = require('../config');
+const schema = require('../graphql/schema');
+const { createLimitRule } = require('../graphql/limits');
+
+/**
+ * Validate a query with the built-in rules and the limit rule
+ * @returns {Array} Errors reported by the limit rule
+ */
+const check = (query, variables) => {
+  return validate(
+    schema,
+    parse(query),
+    specifiedRules.concat(createLimitRule(variables))
+  ).filter(err => err.originalError && err.originalError.code === 400);
+};
+
+describe('query limits', () => {
+  it('accepts ordinary queries', () => {
+    const errors = check(`{
+      posts(page: 1) {
+        posts { _id title creator { name } image { url(size: THUMBNAIL) } }
+        totalPosts
+      }
+    }`);
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it('rejects queries nested too deeply', () => {
+    let selection = 'name';
+    for (let i = 0; i < config.graphql.maxDepth; i++) {
+      selection = 'following { ' + selection + ' }';
+    }
+    const errors = check('{ user { ' + selection + ' } }');
+    const depthError = errors.find(err => err.originalError.data[0].maxDepth);
+    assert.ok(depthError);
+    assert.strictEqual(depthError.originalError.data[0].depth, config.graphql.maxDepth + 2);
+  });
+
+  it('multiplies the cost of lists by their page size', () => {
+    // 50 posts with their creators are fine, 50 * 10 * 10 * 10 users are not
+    assert.deepStrictEqual(
+      check('{ postsConnection(first: 50) { edges { node { creator { name } } } } }'),
+      []
+    );
+    const errors = check(
+      '{ postsConnection(first: 50) { edges { node { creator { followers { following { followers { name } } } } } } } }'
+    );
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0].originalError.data[0].cost > config.graphql.maxCost);
+  });
+
+  it('reads page sizes from variables', () => {
+    const query = `query ($first: Int) {
+      search(query: "x", first: $first) {
+        edges { node { ... on User { followers { following { followers { name } } } } } }
+      }
+    }`;
+    assert.strictEqual(check(query, { first: 1 }).length, 0);
+    assert.strictEqual(check(query, { first: 50 }).length, 1);
+  });
+
+  it('lets introspection through', () => {
+    assert.deepStrictEqual(check(getIntrospectionQuery()), []);
+  });
+
+  it('measures repeated fragment spreads in linear time', () => {
+    // Every fragment spreads the next one twice: 2^30 spreads if expanded
+    const count = 30;
+    let query = '{ user { ...F0 } }\n';
+    for (let i = 0; i < count; i++) {
+      const next = i < count - 1 ? '...F' + (i + 1) + ' following { ...F' + (i + 1) + ' }' : 'name';
+      query += 'fragment F' + i + ' on User { _id ' + next + ' }\n';
+    }
+    const start = Date.now();
+    const errors = check(query);
+    assert.ok(Date.now() - start < 1000);
+    assert.strictEqual(errors.length, 2);
+  });
+});
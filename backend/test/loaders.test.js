@@ -0,0 +1,75 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { graphql } = require('graphql');
+
+const schema = require('../graphql/schema');
+const resolvers = require('../graphql/resolvers');
+const createLoaders = require('../graphql/loaders');
+const Post = require('../models/post');
+const User = require('../models/user');
+const Reaction = require('../models/reaction');
+const postService = require('../services/post');
+const { fakeFind } = require('./helpers');
+
+describe('loaders', () => {
+  let users;
+  let posts;
+  beforeEach(t => {
+    users = ['Ann', 'Bob', 'Cid'].map(name => {
+      return new User({ email: name + '@example.com', name: name });
+    });
+    // Every user has two published posts
+    posts = [];
+    users.forEach(user => {
+      for (let i = 0; i < 2; i++) {
+        const post = new Post({
+          title: user.name + ' ' + i,
+          content: 'Some content',
+          creator: user._id,
+          status: 'published',
+          createdAt: new Date(),
+          updatedAt: new Date()
+        });
+        user.posts.push(post._id);
+        posts.push(post);
+      }
+    });
+    t.mock.method(User, 'find', fakeFind(users));
+    t.mock.method(Post, 'find', fakeFind(posts));
+    t.mock.method(Reaction, 'find', async () => []);
+  });
+
+  it('loads documents by id with one query, in the order asked for', async () => {
+    const loaders = createLoaders();
+    const missing = new Post()._id;
+    const loaded = await Promise.all([
+      loaders.user.load(users[1]._id),
+      loaders.user.load(missing),
+      loaders.user.load(users[0]._id.toString()),
+      // An ObjectId and its string are the same key
+      loaders.user.load(users[1]._id.toString())
+    ]);
+    assert.deepStrictEqual(loaded.map(user => user && user.name), ['Bob', null, 'Ann', 'Bob']);
+    assert.strictEqual(User.find.mock.callCount(), 1);
+    assert.strictEqual(User.find.mock.calls[0].arguments[0]._id.$in.length, 3);
+  });
+
+  it('loads the creators of a page of posts with one query per level', async t => {
+    t.mock.method(postService, 'getPosts', async () => ({ posts: posts, totalPosts: 6 }));
+    const result = await graphql(
+      schema,
+      '{ posts { posts { title creator { name posts { title } } } } }',
+      resolvers,
+      { isAuth: true, userId: users[0]._id.toString(), loaders: createLoaders() }
+    );
+    assert.strictEqual(result.errors, undefined);
+    const page = result.data.posts.posts;
+    assert.strictEqual(page.length, 6);
+    assert.strictEqual(page[5].creator.name, 'Cid');
+    assert.deepStrictEqual(page[5].creator.posts.map(post => post.title), ['Cid 0', 'Cid 1']);
+    // One query for the six creators, one for all of their posts
+    assert.strictEqual(User.find.mock.callCount(), 1);
+    assert.strictEqual(Post.find.mock.callCount(), 1);
+  });
+});
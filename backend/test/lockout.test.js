@@ -0,0 +1,57 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../config');
+const authService = require('../services/auth');
+const { fakeUsers, addUser } = require('./helpers');
+
+describe('login lockout', () => {
+  let users;
+  beforeEach(t => {
+    users = fakeUsers(t);
+  });
+
+  it('locks the account after too many wrong passwords', async () => {
+    const user = await addUser(users, 'right-password');
+    for (let i = 0; i < config.auth.maxFailedLogins; i++) {
+      await assert.rejects(authService.login(user.email, 'wrong'), { code: 401 });
+    }
+    assert.ok(user.isLocked());
+    assert.strictEqual(user.loginLockouts, 1);
+    // Even the right password is refused while locked
+    await assert.rejects(authService.login(user.email, 'right-password'), {
+      code: 429
+    });
+  });
+
+  it('counts parallel wrong passwords without losing any', async () => {
+    const user = await addUser(users, 'right-password');
+    const attempts = [];
+    for (let i = 0; i < config.auth.maxFailedLogins; i++) {
+      attempts.push(authService.login(user.email, 'wrong').catch(err => err));
+    }
+    await Promise.all(attempts);
+    assert.ok(user.isLocked());
+    assert.strictEqual(user.loginLockouts, 1);
+    assert.strictEqual(user.failedLoginAttempts, 0);
+  });
+
+  it('doubles the lockout each time it is repeated', async () => {
+    const user = await addUser(users, 'right-password');
+    user.loginLockouts = 2;
+    user.failedLoginAttempts = config.auth.maxFailedLogins - 1;
+    const before = Date.now();
+    await assert.rejects(authService.login(user.email, 'wrong'), { code: 401 });
+    const minutes = (user.lockedUntil - before) / 60000;
+    assert.ok(Math.abs(minutes - config.auth.lockoutMinutes * 4) < 0.1);
+  });
+
+  it('clears failed attempts after a successful login', async () => {
+    const user = await addUser(users, 'right-password');
+    await assert.rejects(authService.login(user.email, 'wrong'), { code: 401 });
+    assert.strictEqual(user.failedLoginAttempts, 1);
+    const authData = await authService.login(user.email, 'right-password');
+    assert.ok(authData.token);
+    assert.strictEqual(user.failedLoginAttempts, 0);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const Post = require('../models/post');
+const PostRevision = require('../models/post-revision');
+const { setStorage } = require('../storage');
+const { collectOrphanedImages } = require('../services/image');
+const { memoryStorage } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-01-10T12:00:00Z');
+
+// Generated names: 32 hex characters
+const name = letter => 'images/' + letter.repeat(32);
+
+describe('orphaned image sweep', () => {
+  let storage;
+
+  /**
+   * Store a file modified some hours before now
+   * @param {string} key - Storage key
+   * @param {number} hours - Age in hours
+   */
+  const store = (key, hours) => {
+    storage.files.set(key, {
+      buffer: Buffer.from(key),
+      lastModified: new Date(now.getTime() - hours * HOUR)
+    });
+  };
+
+  beforeEach(t => {
+    storage = memoryStorage();
+    setStorage(storage);
+    t.mock.method(Post, 'distinct', async () => [name('a') + '.png']);
+    t.mock.method(PostRevision, 'distinct', async () => [name('b') + '.jpg']);
+
+    ['a', 'c'].forEach(letter => {
+      store(name(letter) + '.png', 48);
+      store(name(letter) + '-thumbnail.png', 48);
+      store(name(letter) + '-medium.png', 48);
+    });
+    store(name('b') + '.jpg', 48);
+    store(name('b') + '-medium.jpg', 48);
+    // Uploaded an hour ago, may still become a post
+    store(name('d') + '.webp', 1);
+  });
+
+  it('deletes old uploads no post or revision uses', async () => {
+    const orphaned = await collectOrphanedImages({ now: now });
+    assert.deepStrictEqual(orphaned.map(file => file.key).sort(), [
+      name('c') + '-medium.png',
+      name('c') + '-thumbnail.png',
+      name('c') + '.png'
+    ]);
+    assert.deepStrictEqual(Array.from(storage.files.keys()).sort(), [
+      name('a') + '-medium.png',
+      name('a') + '-thumbnail.png',
+      name('a') + '.png',
+      name('b') + '-medium.jpg',
+      name('b') + '.jpg',
+      name('d') + '.webp'
+    ]);
+  });
+
+  it('leaves files it did not generate alone', async () => {
+    [
+      'images/2020-01-01T00:00:00.000Z-photo.png',
+      'images/.gitkeep',
+      'images/README.txt',
+      name('e') + '.txt',
+      name('e') + '-large.png',
+      'images/nested/' + 'f'.repeat(32) + '.png'
+    ].forEach(key => store(key, 48));
+    const orphaned = await collectOrphanedImages({ now: now });
+    assert.strictEqual(orphaned.length, 3);
+    assert.ok(orphaned.every(file => file.key.startsWith(name('c'))));
+    assert.strictEqual(storage.files.size, 12);
+  });
+
+  it('deletes nothing on a dry run', async () => {
+    const orphaned = await collectOrphanedImages({ now: now, dryRun: true });
+    assert.strictEqual(orphaned.length, 3);
+    assert.strictEqual(storage.files.size, 9);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../app');
+const User = require('../models/user');
+const { setStorage } = require('../storage');
+const { signIn, request, memoryStorage, createImage } = require('./helpers');
+
+describe('PUT /post-image', () => {
+  const user = new User({ email: 'user@example.com', name: 'User' });
+  let storage;
+  let authorization;
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    storage = memoryStorage();
+    setStorage(storage);
+    authorization = signIn(t, user);
+  });
+
+  it('stores an image with its variants', async () => {
+    const form = new FormData();
+    form.append('image', new Blob([await createImage('jpeg', 300, 200)]), 'photo.jpg');
+    const response = await request(app, 'PUT', '/post-image', {
+      headers: { Authorization: authorization },
+      body: form
+    });
+    assert.strictEqual(response.status, 201);
+    assert.match(response.body.filePath, /^images\/[0-9a-f]{32}\.jpg$/);
+    assert.strictEqual(response.body.image.width, 300);
+    assert.strictEqual(storage.files.size, 3);
+  });
+
+  it('rejects requests without an image', async () => {
+    const form = new FormData();
+    form.append('title', 'Not an image');
+    const response = await request(app, 'PUT', '/post-image', {
+      headers: { Authorization: authorization },
+      body: form
+    });
+    assert.strictEqual(response.status, 422);
+    assert.strictEqual(response.body.message, 'No image provided.');
+    assert.ok(response.body.data[0].message);
+  });
+
+  it('rejects files that are not images', async () => {
+    const form = new FormData();
+    form.append('image', new Blob(['<svg></svg>']), 'image.svg');
+    const response = await request(app, 'PUT', '/post-image', {
+      headers: { Authorization: authorization },
+      body: form
+    });
+    assert.strictEqual(response.status, 415);
+    assert.strictEqual(storage.files.size, 0);
+  });
+
+  it('requires a logged in user', async () => {
+    const response = await request(app, 'PUT', '/post-image', { body: new FormData() });
+    assert.strictEqual(response.status, 401);
+  });
+});
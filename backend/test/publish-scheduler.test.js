@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Post = require('../models/post');
+const postService = require('../services/post');
+const scheduler = require('../jobs/publish-scheduler');
+const { pubsub, POST_CREATED, POST_SCHEDULED } = require('../graphql/pubsub');
+const { query } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('publishDuePosts', () => {
+  const due = [
+    new Post({ title: 'First', status: 'scheduled', publishAt: new Date(1000) }),
+    new Post({ title: 'Second', status: 'scheduled', publishAt: new Date(2000) })
+  ];
+  let updates;
+  beforeEach(t => {
+    updates = [];
+    t.mock.method(Post, 'find', () => query(due));
+    t.mock.method(Post, 'findOneAndUpdate', (filter, update) => {
+      updates.push({ filter, update });
+      // Another server process already published the second post
+      return query(filter._id === due[0]._id ? due[0] : null);
+    });
+  });
+
+  it('publishes each due post once and announces it', async () => {
+    const announced = [];
+    const id = await pubsub.subscribe(POST_CREATED, payload => {
+      announced.push(payload.postCreated.title);
+    });
+    const now = new Date(5000);
+    try {
+      assert.strictEqual(await postService.publishDuePosts(now), 1);
+    } finally {
+      pubsub.unsubscribe(id);
+    }
+    assert.deepStrictEqual(announced, ['First']);
+    assert.strictEqual(updates.length, 2);
+    assert.strictEqual(updates[0].filter.status, 'scheduled');
+    assert.strictEqual(updates[0].filter.publishAt, due[0].publishAt);
+    // The post appears in the feed at its scheduled time
+    assert.deepStrictEqual(updates[0].update.$set, {
+      status: 'published',
+      createdAt: due[0].publishAt,
+      updatedAt: now
+    });
+  });
+});
+
+describe('publish scheduler', () => {
+  let checks;
+  let nextPublishAt;
+  beforeEach(t => {
+    checks = 0;
+    nextPublishAt = null;
+    t.mock.method(postService, 'publishDuePosts', async () => {
+      checks++;
+      return 0;
+    });
+    t.mock.method(postService, 'getNextPublishAt', async () => nextPublishAt);
+  });
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('checks right after starting', async () => {
+    await scheduler.start();
+    await wait(20);
+    assert.strictEqual(checks, 1);
+  });
+
+  it('checks again when the next post is due', async () => {
+    nextPublishAt = new Date(Date.now() + 50);
+    await scheduler.start();
+    await wait(20);
+    assert.strictEqual(checks, 1);
+    nextPublishAt = null;
+    await wait(80);
+    assert.strictEqual(checks, 2);
+  });
+
+  it('wakes up when a post is scheduled', async () => {
+    await scheduler.start();
+    await wait(20);
+    pubsub.publish(POST_SCHEDULED, { publishAt: new Date() });
+    await wait(20);
+    assert.strictEqual(checks, 2);
+  });
+
+  it('keeps running when a check fails', async t => {
+    t.mock.method(console, 'log', () => {});
+    postService.publishDuePosts.mock.mockImplementation(async () => {
+      checks++;
+      throw new Error('Database unavailable');
+    });
+    await scheduler.start();
+    await wait(20);
+    pubsub.publish(POST_SCHEDULED, { publishAt: new Date() });
+    await wait(20);
+    assert.strictEqual(checks, 2);
+    assert.strictEqual(console.log.mock.callCount(), 2);
+  });
+
+  it('stops checking after stop()', async () => {
+    await scheduler.start();
+    await wait(20);
+    scheduler.stop();
+    pubsub.publish(POST_SCHEDULED, { publishAt: new Date() });
+    await wait(20);
+    assert.strictEqual(checks, 1);
+  });
+});
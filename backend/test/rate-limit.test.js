@@ -0,0 +1,155 @@
+// Rate limiting is off in config/test.json; every test file runs in its own
+// process, so it can be switched on here before the config is loaded
+process.env.RATE_LIMIT_ENABLED = 'true';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../app');
+const User = require('../models/user');
+const postService = require('../services/post');
+const rateLimit = require('../rate-limit');
+const createMemoryStore = require('../rate-limit/stores/memory');
+const { signIn, request, createImage } = require('./helpers');
+
+/**
+ * Store that records every counted key and allows everything except the
+ * budgets of the given operations
+ * @param {Array} exhausted - Operations whose budgets are used up
+ * @returns {Object} Store with the counted keys in `keys`
+ */
+const recordingStore = (exhausted = []) => {
+  const keys = [];
+  return {
+    keys: keys,
+    increment: async (key, windowMs) => {
+      keys.push(key);
+      const used = exhausted.includes(key.split(':')[0]);
+      return { count: used ? 1000 : 1, resetAt: Date.now() + windowMs };
+    },
+    reset: async () => {}
+  };
+};
+
+describe('memory store', () => {
+  it('counts hits per key within a window', async () => {
+    const store = createMemoryStore();
+    assert.strictEqual((await store.increment('a', 1000)).count, 1);
+    assert.strictEqual((await store.increment('a', 1000)).count, 2);
+    assert.strictEqual((await store.increment('b', 1000)).count, 1);
+    await store.reset('a');
+    assert.strictEqual((await store.increment('a', 1000)).count, 1);
+  });
+
+  it('starts a new window once the previous one ended', async () => {
+    const store = createMemoryStore();
+    const first = await store.increment('a', 20);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const second = await store.increment('a', 20);
+    assert.strictEqual(second.count, 1);
+    assert.ok(second.resetAt > first.resetAt);
+  });
+});
+
+describe('budgets', () => {
+  beforeEach(() => {
+    rateLimit.setStore(createMemoryStore());
+  });
+
+  it('rejects requests over the budget with 429 and retryAfter', async () => {
+    const client = { ip: '10.0.0.1' };
+    for (let i = 0; i < rateLimit.BUDGETS.login.ip.limit; i++) {
+      await rateLimit.consume('login', client);
+    }
+    await assert.rejects(rateLimit.consume('login', client), err => {
+      assert.strictEqual(err.code, 429);
+      assert.ok(err.retryAfter > 0 && err.retryAfter <= 15 * 60);
+      assert.match(err.data[0].message, /try again in \d+ seconds/);
+      return true;
+    });
+    // Other clients and operations have budgets of their own
+    await rateLimit.consume('login', { ip: '10.0.0.2' });
+    await rateLimit.consume('createUser', client);
+  });
+
+  it('limits users across IP addresses', async () => {
+    const limit = rateLimit.BUDGETS.createPost.user.limit;
+    for (let i = 0; i < limit; i++) {
+      await rateLimit.consume('createPost', { ip: '10.0.0.' + i, userId: 'u1' });
+    }
+    await assert.rejects(
+      rateLimit.consume('createPost', { ip: '10.0.1.1', userId: 'u1' }),
+      { code: 429 }
+    );
+    await rateLimit.consume('createPost', { ip: '10.0.1.1', userId: 'u2' });
+  });
+
+  it('counts anonymous requests by IP only', () => {
+    assert.deepStrictEqual(rateLimit.clientFrom({ ip: '10.0.0.1', isAuth: false, userId: 'x' }), {
+      ip: '10.0.0.1',
+      userId: null
+    });
+  });
+});
+
+describe('REST upload budgets', () => {
+  const user = new User({ email: 'user@example.com', name: 'User' });
+  let authorization;
+  let form;
+  beforeEach(async t => {
+    t.mock.method(console, 'log', () => {});
+    authorization = signIn(t, user);
+    form = new FormData();
+    form.append('title', 'A new post');
+    form.append('content', 'Some content');
+    form.append('image', new Blob([await createImage('png', 10, 10)]), 'a.png');
+  });
+
+  it('charges creating a post with an image to both budgets', async t => {
+    const store = recordingStore(['uploadImage']);
+    rateLimit.setStore(store);
+    const createPost = t.mock.method(postService, 'createPost');
+    const response = await request(app, 'POST', '/feed/post', {
+      headers: { Authorization: authorization },
+      body: form
+    });
+    assert.strictEqual(response.status, 429);
+    assert.ok(response.headers.get('retry-after'));
+    assert.deepStrictEqual(store.keys.map(key => key.split(':').slice(0, 2).join(':')), [
+      'createPost:ip',
+      'createPost:user',
+      'uploadImage:ip',
+      'uploadImage:user'
+    ]);
+    assert.strictEqual(createPost.mock.callCount(), 0);
+  });
+
+  it('charges replacing the image of a post to the upload budget', async t => {
+    const store = recordingStore(['uploadImage']);
+    rateLimit.setStore(store);
+    const updatePost = t.mock.method(postService, 'updatePost');
+    const response = await request(app, 'PUT', '/feed/post/5f0000000000000000000001', {
+      headers: { Authorization: authorization },
+      body: form
+    });
+    assert.strictEqual(response.status, 429);
+    assert.ok(store.keys.includes('uploadImage:user:' + user._id));
+    assert.strictEqual(updatePost.mock.callCount(), 0);
+  });
+
+  it("doesn't charge updates without an image to the upload budget", async t => {
+    const store = recordingStore(['uploadImage']);
+    rateLimit.setStore(store);
+    t.mock.method(postService, 'updatePost', async () => {
+      const error = new Error('No post found!');
+      error.code = 404;
+      throw error;
+    });
+    const response = await request(app, 'PUT', '/feed/post/5f0000000000000000000001', {
+      headers: { Authorization: authorization, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'A new title', content: 'Some content' })
+    });
+    assert.strictEqual(response.status, 404);
+    assert.deepStrictEqual(store.keys, []);
+  });
+});
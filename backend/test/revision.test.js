@@ -0,0 +1,110 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { graphql } = require('graphql');
+
+const Post = require('../models/post');
+const PostRevision = require('../models/post-revision');
+const schema = require('../graphql/schema');
+const { setStorage } = require('../storage');
+const revisionService = require('../services/revision');
+const { query, memoryStorage } = require('./helpers');
+
+const creatorId = '5f0000000000000000000001';
+
+const post = new Post({
+  title: 'Current title',
+  content: 'Current content',
+  imageUrl: 'images/current.png',
+  creator: creatorId,
+  tags: ['node', 'graphql']
+});
+
+describe('revision diff', () => {
+  it('lists the fields that differ from the current post', async () => {
+    const revision = new PostRevision({
+      post: post._id,
+      editor: creatorId,
+      title: 'Old title',
+      content: 'Current content',
+      imageUrl: 'images/current.png',
+      tags: ['node']
+    });
+    assert.ok(revisionService.hasChanges(revisionService.snapshot(revision), post));
+    assert.deepStrictEqual(await revisionService.diffRevision(revision, post), [
+      { field: 'title', revision: 'Old title', current: 'Current title' },
+      { field: 'tags', revision: 'node', current: 'node, graphql' }
+    ]);
+  });
+});
+
+describe('revision pruning', () => {
+  let storage;
+  beforeEach(t => {
+    storage = memoryStorage();
+    setStorage(storage);
+    ['old', 'shared'].forEach(name => {
+      storage.files.set('images/' + name + '.png', {});
+      storage.files.set('images/' + name + '-thumbnail.png', {});
+      storage.files.set('images/' + name + '-medium.png', {});
+    });
+    t.mock.method(PostRevision.prototype, 'save', async function() {
+      return this;
+    });
+    const pruned = ['old', 'shared'].map(name => {
+      return new PostRevision({ post: post._id, imageUrl: 'images/' + name + '.png' });
+    });
+    t.mock.method(PostRevision, 'find', () => query(pruned));
+    t.mock.method(PostRevision, 'deleteMany', async () => ({}));
+    // Another post uses images/shared.png
+    t.mock.method(Post, 'exists', async filter => filter.imageUrl === 'images/shared.png');
+    t.mock.method(PostRevision, 'exists', async () => false);
+  });
+
+  it('removes the images of pruned revisions nothing else uses', async () => {
+    await revisionService.recordRevision(revisionService.snapshot(post), post, creatorId);
+    assert.deepStrictEqual(Array.from(storage.files.keys()).sort(), [
+      'images/shared-medium.png',
+      'images/shared-thumbnail.png',
+      'images/shared.png'
+    ]);
+  });
+});
+
+describe('Post.revisions', () => {
+  beforeEach(t => {
+    t.mock.method(PostRevision, 'find', () => {
+      return query([new PostRevision({ post: post._id, editor: creatorId, title: 'Old' })]);
+    });
+  });
+
+  const revisionsAs = async req => {
+    const result = await graphql(
+      schema,
+      '{ post(id: "1") { revisions { title } } }',
+      { post: () => post },
+      { loaders: {}, ...req }
+    );
+    assert.strictEqual(result.errors, undefined);
+    return result.data.post.revisions.map(revision => revision.title);
+  };
+
+  it('lists revisions for the creator and moderators', async () => {
+    assert.deepStrictEqual(
+      await revisionsAs({ isAuth: true, userId: creatorId, userRole: 'user' }),
+      ['Old']
+    );
+    assert.deepStrictEqual(
+      await revisionsAs({ isAuth: true, userId: 'someone', userRole: 'moderator' }),
+      ['Old']
+    );
+  });
+
+  it('is empty for other viewers instead of failing', async () => {
+    assert.deepStrictEqual(
+      await revisionsAs({ isAuth: true, userId: 'someone', userRole: 'user' }),
+      []
+    );
+    assert.deepStrictEqual(await revisionsAs({ isAuth: false }), []);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { graphql } = require('graphql');
+
+const schema = require('../graphql/schema');
+const resolvers = require('../graphql/resolvers');
+const ModerationAction = require('../models/moderation-action');
+const User = require('../models/user');
+const Session = require('../models/session');
+const { hasRole } = require('../util/roles');
+const { query } = require('./helpers');
+
+const adminId = '5f0000000000000000000001';
+
+/**
+ * Run an operation as a user with the given role (null for anonymous)
+ * @param {string} source - GraphQL operation
+ * @param {string|null} role - Role of the requesting user
+ * @returns {Promise<Object>} { data, errors } errors reduced to their status
+ */
+const runAs = async (source, role) => {
+  const req = role
+    ? { isAuth: true, userId: adminId, userRole: role, loaders: {} }
+    : { isAuth: false, loaders: {} };
+  const result = await graphql(schema, source, resolvers, req);
+  return {
+    data: result.data,
+    status: result.errors ? result.errors[0].originalError.code : 200
+  };
+};
+
+describe('roles', () => {
+  it('ranks admins above moderators above users', () => {
+    assert.ok(hasRole('admin', 'moderator'));
+    assert.ok(hasRole('moderator', 'moderator'));
+    assert.ok(!hasRole('user', 'moderator'));
+    assert.ok(!hasRole('moderator', 'admin'));
+    // Tokens issued before roles existed carry no role
+    assert.ok(hasRole(undefined, 'user'));
+    assert.ok(!hasRole(undefined, 'moderator'));
+  });
+});
+
+describe('@auth directive', () => {
+  let target;
+  beforeEach(t => {
+    t.mock.method(ModerationAction, 'find', () => query([]));
+    target = new User({ email: 'target@example.com', name: 'Target' });
+    t.mock.method(User, 'findById', async () => target);
+    t.mock.method(User.prototype, 'save', async function() {
+      return this;
+    });
+    t.mock.method(Session, 'updateMany', async () => ({}));
+  });
+
+  const moderationLog = '{ moderationLog { _id } }';
+  const setUserRole = id => {
+    return 'mutation { setUserRole(userId: "' + id + '", role: MODERATOR) { role } }';
+  };
+
+  it('rejects anonymous requests with 401', async () => {
+    assert.strictEqual((await runAs(moderationLog, null)).status, 401);
+    assert.strictEqual((await runAs(setUserRole(target._id), null)).status, 401);
+  });
+
+  it('rejects roles below the required one with 403', async () => {
+    assert.strictEqual((await runAs(moderationLog, 'user')).status, 403);
+    assert.strictEqual((await runAs(setUserRole(target._id), 'moderator')).status, 403);
+    assert.strictEqual(target.role, 'user');
+  });
+
+  it('lets the required role and higher ones through', async () => {
+    assert.strictEqual((await runAs(moderationLog, 'moderator')).status, 200);
+    assert.strictEqual((await runAs(moderationLog, 'admin')).status, 200);
+    const result = await runAs(setUserRole(target._id), 'admin');
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.data.setUserRole.role, 'MODERATOR');
+    assert.strictEqual(target.role, 'moderator');
+    // The changed user has to log in again to get a token with the new role
+    assert.strictEqual(Session.updateMany.mock.callCount(), 1);
+  });
+
+  it("doesn't let admins change their own role", async () => {
+    target._id = adminId;
+    assert.strictEqual((await runAs(setUserRole(adminId), 'admin')).status, 403);
+  });
+});
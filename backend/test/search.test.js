@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const Post = require('../models/post');
+const User = require('../models/user');
+const { encodeOffsetCursor } = require('../util/cursor');
+const { search } = require('../services/search');
+const { query } = require('./helpers');
+
+/**
+ * Ranked search hit as returned by a text query
+ */
+const hit = (fields, score) => ({ ...fields, get: key => (key === 'score' ? score : undefined) });
+
+describe('search', () => {
+  let postQueries;
+  beforeEach(t => {
+    // Posts score 9, 7, 5, ...; users 8, 6
+    const posts = [9, 7, 5, 3, 1].map(score => {
+      return hit({ _id: 'post' + score, title: 'Title', content: 'About graphql ' + score }, score);
+    });
+    const users = [8, 6].map(score => hit({ _id: 'user' + score, name: 'graphql fan ' + score }, score));
+    postQueries = [];
+    t.mock.method(Post, 'find', () => {
+      const q = query(posts);
+      postQueries.push(q);
+      return q;
+    });
+    t.mock.method(Post, 'countDocuments', async () => posts.length);
+    t.mock.method(User, 'find', () => query(users));
+    t.mock.method(User, 'countDocuments', async () => users.length);
+  });
+
+  it('merges posts and users by score', async () => {
+    const result = await search('graphql', { first: 4 });
+    const ids = result.edges.map(edge => (edge.post || edge.user)._id);
+    assert.deepStrictEqual(ids, ['post9', 'user8', 'post7', 'user6']);
+    assert.strictEqual(result.totalCount, 7);
+    assert.strictEqual(result.pageInfo.hasNextPage, true);
+    assert.strictEqual(result.pageInfo.hasPreviousPage, false);
+    assert.strictEqual(result.edges[0].snippet, 'About <mark>graphql</mark> 9');
+  });
+
+  it('continues after the cursor of the previous page', async () => {
+    const first = await search('graphql', { first: 4 });
+    const second = await search('graphql', { first: 4, after: first.pageInfo.endCursor });
+    const ids = second.edges.map(edge => (edge.post || edge.user)._id);
+    assert.deepStrictEqual(ids, ['post5', 'post3', 'post1']);
+    assert.strictEqual(second.pageInfo.hasNextPage, false);
+    assert.strictEqual(second.pageInfo.hasPreviousPage, true);
+  });
+
+  it('only loads the results up to the requested page', async () => {
+    await search('graphql', { type: 'posts', first: 10, after: encodeOffsetCursor(19) });
+    const limit = postQueries[0].calls.find(call => call.method === 'limit');
+    assert.deepStrictEqual(limit.args, [31]);
+  });
+
+  it('rejects cursors beyond the deepest page', async () => {
+    await assert.rejects(
+      search('graphql', { after: encodeOffsetCursor(100000000) }),
+      { code: 422 }
+    );
+    assert.strictEqual(postQueries.length, 0);
+  });
+
+  it('rejects malformed cursors, page sizes and queries', async () => {
+    await assert.rejects(search('graphql', { after: 'nonsense' }), { code: 400 });
+    await assert.rejects(search('graphql', { first: 51 }), { code: 422 });
+    await assert.rejects(search('  -graphql '), { code: 422 });
+  });
+});
@@ -0,0 +1,239 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const createLocalStorage = require('../storage/backends/local');
+const createS3Storage = require('../storage/backends/s3');
+const {
+  setStorage,
+  putFile,
+  getFile,
+  fileExists,
+  getFileUrl,
+  deleteFile,
+  listFiles
+} = require('../storage');
+
+/**
+ * Start a stand-in for an S3-compatible service (like MinIO) with
+ * path-style addressing: objects, HEAD/GET/PUT/DELETE and ListObjectsV2
+ * with a small page size so listings are paged
+ * @returns {Promise<Object>} { endpoint, objects, close }
+ */
+const startFakeS3 = () => {
+  const objects = new Map();
+  const pageSize = 2;
+
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+  const listObjects = (bucket, params) => {
+    const prefix = params.get('prefix') || '';
+    const delimiter = params.get('delimiter');
+    const start = Number(params.get('continuation-token') || 0);
+    const keys = Array.from(objects.keys())
+      .filter(key => key.startsWith(bucket + '/' + prefix))
+      .map(key => key.slice(bucket.length + 1))
+      .sort();
+    const contents = [];
+    const prefixes = new Set();
+    keys.forEach(key => {
+      const rest = key.slice(prefix.length);
+      if (delimiter && rest.includes(delimiter)) {
+        prefixes.add(prefix + rest.slice(0, rest.indexOf(delimiter) + 1));
+      } else {
+        contents.push(key);
+      }
+    });
+    const page = contents.slice(start, start + pageSize);
+    const truncated = start + pageSize < contents.length;
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+      '<Name>' + bucket + '</Name><Prefix>' + escape(prefix) + '</Prefix>' +
+      '<KeyCount>' + page.length + '</KeyCount><MaxKeys>' + pageSize + '</MaxKeys>' +
+      '<IsTruncated>' + truncated + '</IsTruncated>' +
+      (truncated ? '<NextContinuationToken>' + (start + pageSize) + '</NextContinuationToken>' : '') +
+      page.map(key => {
+        const object = objects.get(bucket + '/' + key);
+        return (
+          '<Contents><Key>' + escape(key) + '</Key>' +
+          '<LastModified>' + object.lastModified.toISOString() + '</LastModified>' +
+          '<ETag>"etag"</ETag><Size>' + object.body.length + '</Size>' +
+          '<StorageClass>STANDARD</StorageClass></Contents>'
+        );
+      }).join('') +
+      (start === 0
+        ? Array.from(prefixes).map(p => '<CommonPrefixes><Prefix>' + escape(p) + '</Prefix></CommonPrefixes>').join('')
+        : '') +
+      '</ListBucketResult>'
+    );
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const name = decodeURIComponent(url.pathname.slice(1));
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(listObjects(name.replace(/\/$/, ''), url.searchParams));
+        return;
+      }
+      if (req.method === 'PUT') {
+        objects.set(name, {
+          body: Buffer.concat(chunks),
+          contentType: req.headers['content-type'],
+          lastModified: new Date(Math.floor(Date.now() / 1000) * 1000)
+        });
+        res.writeHead(200, { ETag: '"etag"' });
+        res.end();
+        return;
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(name);
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      const object = objects.get(name);
+      if (!object) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        res.end(
+          req.method === 'HEAD'
+            ? undefined
+            : '<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code>' +
+              '<Message>The specified key does not exist.</Message></Error>'
+        );
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': object.contentType || 'application/octet-stream',
+        'Content-Length': object.body.length,
+        'Last-Modified': object.lastModified.toUTCString()
+      });
+      res.end(req.method === 'HEAD' ? undefined : object.body);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: 'http://127.0.0.1:' + server.address().port,
+        objects: objects,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+/**
+ * Tests every storage has to pass, run through the functions of
+ * storage/index.js with the storage set by setStorage
+ */
+const behavesLikeStorage = () => {
+  it('stores, reads and deletes files', async () => {
+    await putFile('images/a.png', Buffer.from('first'), 'image/png');
+    assert.strictEqual(await fileExists('images/a.png'), true);
+    assert.strictEqual((await getFile('images/a.png')).toString(), 'first');
+
+    await putFile('images/a.png', Buffer.from('second'), 'image/png');
+    assert.strictEqual((await getFile('images/a.png')).toString(), 'second');
+
+    await deleteFile('images/a.png');
+    assert.strictEqual(await fileExists('images/a.png'), false);
+    assert.strictEqual(await getFile('images/a.png'), null);
+    // Deleting a missing file succeeds
+    await deleteFile('images/a.png');
+  });
+
+  it('lists the files directly below a prefix', async () => {
+    for (const name of ['a.png', 'b.jpg', 'c.gif', 'd.webp', 'nested/e.png']) {
+      await putFile('images/' + name, Buffer.from(name), 'image/png');
+    }
+    await putFile('other/f.png', Buffer.from('f'), 'image/png');
+
+    const files = await listFiles('images/');
+    assert.deepStrictEqual(files.map(file => file.key).sort(), [
+      'images/a.png',
+      'images/b.jpg',
+      'images/c.gif',
+      'images/d.webp'
+    ]);
+    files.forEach(file => {
+      assert.ok(file.lastModified instanceof Date);
+      assert.ok(Math.abs(file.lastModified.getTime() - Date.now()) < 60 * 1000);
+    });
+    assert.deepStrictEqual(await listFiles('missing/'), []);
+  });
+};
+
+describe('local storage', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    setStorage(createLocalStorage({ dir: dir }));
+  });
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  behavesLikeStorage();
+
+  it('serves files from the server root', () => {
+    assert.strictEqual(getFileUrl('images/a.png'), 'images/a.png');
+  });
+
+  it('rejects keys outside its directory', async () => {
+    await assert.rejects(putFile('../escape.png', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(getFile('images/../../escape.png'), /Invalid storage key/);
+    assert.strictEqual(fs.existsSync(path.join(dir, '..', 'escape.png')), false);
+  });
+});
+
+describe('S3 storage', () => {
+  let s3;
+  before(async () => {
+    s3 = await startFakeS3();
+  });
+  beforeEach(() => {
+    s3.objects.clear();
+    setStorage(
+      createS3Storage({
+        bucket: 'posts',
+        region: 'us-east-1',
+        endpoint: s3.endpoint,
+        forcePathStyle: true,
+        accessKeyId: 'minio',
+        secretAccessKey: 'minio123'
+      })
+    );
+  });
+  after(() => s3.close());
+
+  behavesLikeStorage();
+
+  it('stores objects in the bucket with their content type', async () => {
+    await putFile('images/a.png', Buffer.from('png'), 'image/png');
+    assert.deepStrictEqual(Array.from(s3.objects.keys()), ['posts/images/a.png']);
+    assert.strictEqual(s3.objects.get('posts/images/a.png').contentType, 'image/png');
+  });
+
+  it('serves files from the bucket', () => {
+    assert.strictEqual(getFileUrl('images/a.png'), s3.endpoint + '/posts/images/a.png');
+    const aws = createS3Storage({ bucket: 'posts', region: 'eu-west-1' });
+    assert.strictEqual(
+      aws.getUrl('images/a.png'),
+      'https://posts.s3.eu-west-1.amazonaws.com/images/a.png'
+    );
+    const cdn = createS3Storage({
+      bucket: 'posts',
+      region: 'eu-west-1',
+      publicUrl: 'https://cdn.example.com'
+    });
+    assert.strictEqual(cdn.getUrl('images/a.png'), 'https://cdn.example.com/images/a.png');
+  });
+});
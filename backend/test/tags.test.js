@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { MAX_TAGS, normalizeTag, parseHashtags, buildTags } = require('../util/tags');
+
+describe('tags', () => {
+  it('normalizes tags entered by users', () => {
+    assert.strictEqual(normalizeTag(' #GraphQL '), 'graphql');
+    assert.strictEqual(normalizeTag('##node-js'), 'node-js');
+  });
+
+  it('finds hashtags at the start or after whitespace', () => {
+    assert.deepStrictEqual(
+      parseHashtags('#Node and\n#graphql_api, not mail@#host or a#b. #node again'),
+      ['node', 'graphql_api']
+    );
+    assert.deepStrictEqual(parseHashtags('#' + 'a'.repeat(31) + ' #ok'), ['ok']);
+    assert.deepStrictEqual(parseHashtags(undefined), []);
+  });
+
+  it('finds the same hashtags on every call', () => {
+    // The global pattern keeps its position between exec() calls
+    assert.deepStrictEqual(parseHashtags('#one #two'), ['one', 'two']);
+    assert.deepStrictEqual(parseHashtags('#one #two'), ['one', 'two']);
+  });
+
+  it('combines explicit tags and hashtags without duplicates', () => {
+    assert.deepStrictEqual(buildTags(['Node', '#api'], 'About #node and #rest'), [
+      'node',
+      'api',
+      'rest'
+    ]);
+    assert.deepStrictEqual(buildTags(undefined, 'no tags'), []);
+  });
+
+  it('rejects invalid tags and too many tags with 422', () => {
+    assert.throws(
+      () => buildTags(['fine', 'not fine!'], ''),
+      err => {
+        assert.strictEqual(err.code, 422);
+        assert.deepStrictEqual(err.data, [{ message: 'Tag "not fine!" is invalid.' }]);
+        return true;
+      }
+    );
+    const tooMany = [];
+    for (let i = 0; i <= MAX_TAGS; i++) {
+      tooMany.push('tag' + i);
+    }
+    assert.throws(() => buildTags(tooMany, ''), { code: 422 });
+    // Hashtags count towards the limit as well
+    assert.throws(() => buildTags(tooMany.slice(1), '#extra'), { code: 422 });
+  });
+});
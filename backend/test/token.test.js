@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const Session = require('../models/session');
+const {
+  hashToken,
+  issueAuthData,
+  rotateRefreshToken,
+  verifyAccessToken
+} = require('../util/token');
+
+const user = { _id: '5f0000000000000000000001', email: 'a@example.com', role: 'user' };
+const loadUser = async () => user;
+
+/**
+ * Keep sessions in an array and answer the queries token.js makes
+ * Every call yields first, so concurrent callers interleave like they
+ * would against a database
+ */
+const fakeSessions = t => {
+  const sessions = [];
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const byId = id => sessions.find(s => s._id.toString() === id.toString());
+  t.mock.method(Session.prototype, 'save', async function() {
+    sessions.push(this);
+    return this;
+  });
+  t.mock.method(Session, 'findOne', async filter => {
+    await tick();
+    const hash = filter.$or[0].refreshTokenHash;
+    return sessions.find(
+      s => s.refreshTokenHash === hash || s.rotatedTokenHashes.includes(hash)
+    ) || null;
+  });
+  t.mock.method(Session, 'findById', async id => byId(id) || null);
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const session = byId(filter._id);
+    if (!session || session.refreshTokenHash !== filter.refreshTokenHash || session.revokedAt) {
+      return null;
+    }
+    session.set(update.$set);
+    session.rotatedTokenHashes.push(update.$push.rotatedTokenHashes);
+    return session;
+  });
+  t.mock.method(Session, 'updateOne', async (filter, update) => {
+    await tick();
+    byId(filter._id).set(update);
+  });
+  return sessions;
+};
+
+describe('refresh tokens', () => {
+  let sessions;
+  beforeEach(t => {
+    sessions = fakeSessions(t);
+  });
+
+  it('issues an access token for an active session', async () => {
+    const authData = await issueAuthData(user);
+    assert.strictEqual(authData.userId, user._id);
+    assert.strictEqual(sessions[0].refreshTokenHash, hashToken(authData.refreshToken));
+    const decoded = await verifyAccessToken(authData.token);
+    assert.strictEqual(decoded.sid, sessions[0]._id.toString());
+  });
+
+  it('rotates the refresh token', async () => {
+    const first = await issueAuthData(user);
+    const second = await rotateRefreshToken(first.refreshToken, loadUser);
+    assert.notStrictEqual(second.refreshToken, first.refreshToken);
+    assert.strictEqual(sessions[0].refreshTokenHash, hashToken(second.refreshToken));
+    const third = await rotateRefreshToken(second.refreshToken, loadUser);
+    assert.ok(third.token);
+  });
+
+  it('revokes the session when a rotated token is reused', async () => {
+    const first = await issueAuthData(user);
+    const second = await rotateRefreshToken(first.refreshToken, loadUser);
+    await assert.rejects(rotateRefreshToken(first.refreshToken, loadUser), {
+      code: 401,
+      message: 'Refresh token was already used.'
+    });
+    assert.ok(sessions[0].revokedAt);
+    // The newest token dies with the session
+    await assert.rejects(rotateRefreshToken(second.refreshToken, loadUser), { code: 401 });
+    assert.strictEqual(await verifyAccessToken(second.token), null);
+  });
+
+  it('lets only one of two concurrent refreshes succeed', async () => {
+    const first = await issueAuthData(user);
+    const results = await Promise.allSettled([
+      rotateRefreshToken(first.refreshToken, loadUser),
+      rotateRefreshToken(first.refreshToken, loadUser)
+    ]);
+    const statuses = results.map(r => r.status).sort();
+    assert.deepStrictEqual(statuses, ['fulfilled', 'rejected']);
+    assert.ok(sessions[0].revokedAt);
+  });
+
+  it('rejects unknown tokens', async () => {
+    await assert.rejects(rotateRefreshToken('unknown', loadUser), {
+      code: 401,
+      message: 'Invalid refresh token.'
+    });
+  });
+});
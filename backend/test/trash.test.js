@@ -0,0 +1,136 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const Post = require('../models/post');
+const User = require('../models/user');
+const Comment = require('../models/comment');
+const Reaction = require('../models/reaction');
+const PostRevision = require('../models/post-revision');
+const ModerationAction = require('../models/moderation-action');
+const postService = require('../services/post');
+const { setStorage } = require('../storage');
+const { query, fakeFind, memoryStorage } = require('./helpers');
+
+const creator = { userId: '5f0000000000000000000001', role: 'user' };
+const stranger = { userId: '5f0000000000000000000002', role: 'user' };
+const moderator = { userId: '5f0000000000000000000003', role: 'moderator' };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('trash', () => {
+  let posts;
+  let moderationLog;
+  let storage;
+
+  /**
+   * Add a post of the creator
+   * @param {Object} fields - Extra fields, e.g. { deletedAt }
+   * @returns {Object} Post document
+   */
+  const addPost = fields => {
+    const post = new Post({
+      title: 'A post',
+      content: 'Some content',
+      imageUrl: 'images/' + posts.length + '.png',
+      creator: creator.userId,
+      status: 'published',
+      ...fields
+    });
+    posts.push(post);
+    storage.files.set(post.imageUrl, {});
+    return post;
+  };
+
+  beforeEach(t => {
+    posts = [];
+    moderationLog = [];
+    storage = memoryStorage();
+    setStorage(storage);
+    t.mock.method(Post, 'findById', id => {
+      return query(posts.find(post => post._id.toString() === id.toString()) || null);
+    });
+    t.mock.method(Post, 'find', filter => fakeFind(posts)(filter));
+    t.mock.method(Post, 'findByIdAndRemove', async id => {
+      posts = posts.filter(post => post._id.toString() !== id.toString());
+    });
+    t.mock.method(Post, 'exists', async filter => {
+      return posts.some(post => post.imageUrl === filter.imageUrl);
+    });
+    t.mock.method(Post.prototype, 'save', async function() {
+      return this;
+    });
+    t.mock.method(Post.prototype, 'populate', function() {
+      return { execPopulate: async () => this };
+    });
+    t.mock.method(User, 'updateOne', async () => ({}));
+    t.mock.method(Comment, 'deleteMany', async () => ({}));
+    t.mock.method(Reaction, 'deleteMany', async () => ({}));
+    t.mock.method(PostRevision, 'find', () => query([]));
+    t.mock.method(PostRevision, 'deleteMany', async () => ({}));
+    t.mock.method(PostRevision, 'exists', async () => false);
+    t.mock.method(ModerationAction.prototype, 'save', async function() {
+      moderationLog.push(this.action);
+      return this;
+    });
+  });
+
+  it('lets creators delete, restore and purge their posts', async () => {
+    const post = addPost();
+    assert.strictEqual(await postService.deletePost(creator, post._id), true);
+    assert.ok(post.isDeleted());
+    assert.strictEqual((await postService.getTrash(creator)).totalPosts, 1);
+
+    await postService.restorePost(creator, post._id);
+    assert.ok(!post.isDeleted());
+
+    await postService.deletePost(creator, post._id);
+    assert.strictEqual(await postService.purgePost(creator, post._id), true);
+    assert.strictEqual(posts.length, 0);
+    assert.strictEqual(storage.files.size, 0);
+    assert.deepStrictEqual(moderationLog, []);
+  });
+
+  it("doesn't let other users touch a post or see it in their trash", async () => {
+    const post = addPost();
+    await assert.rejects(postService.deletePost(stranger, post._id), { code: 403 });
+    await postService.deletePost(creator, post._id);
+    assert.strictEqual((await postService.getTrash(stranger)).totalPosts, 0);
+    await assert.rejects(postService.restorePost(stranger, post._id), { code: 403 });
+    await assert.rejects(postService.purgePost(stranger, post._id), { code: 403 });
+    assert.strictEqual(posts.length, 1);
+  });
+
+  it('keeps posts removed by a moderator out of reach of their creator', async () => {
+    const post = addPost();
+    await postService.deletePost(moderator, post._id);
+    await assert.rejects(postService.restorePost(creator, post._id), err => {
+      assert.strictEqual(err.code, 403);
+      assert.match(err.data[0].message, /Only moderators/);
+      return true;
+    });
+    await postService.restorePost(moderator, post._id);
+    assert.ok(!post.isDeleted());
+    assert.deepStrictEqual(moderationLog, ['delete', 'restore']);
+  });
+
+  it('only restores and purges posts that are in the trash', async () => {
+    const post = addPost();
+    await assert.rejects(postService.restorePost(creator, post._id), { code: 404 });
+    await assert.rejects(postService.purgePost(creator, post._id), { code: 404 });
+    await postService.deletePost(creator, post._id);
+    await assert.rejects(postService.deletePost(creator, post._id), { code: 404 });
+  });
+
+  it('purges posts after the retention period', async () => {
+    const now = new Date();
+    addPost({ deletedAt: new Date(now.getTime() - 31 * DAY) });
+    const recent = addPost({ deletedAt: new Date(now.getTime() - 29 * DAY) });
+    const live = addPost();
+    assert.strictEqual(await postService.purgeExpiredPosts(now), 1);
+    assert.deepStrictEqual(posts, [recent, live]);
+    assert.deepStrictEqual(Array.from(storage.files.keys()).sort(), [
+      recent.imageUrl,
+      live.imageUrl
+    ]);
+  });
+});
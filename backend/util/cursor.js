@@ -0,0 +1,69 @@
+/**
+ * Opaque cursors for keyset pagination
+ * A cursor encodes the sort key of a document (createdAt + _id) so the next
+ * page can be fetched with an indexed range query instead of skip().
+ */
+
+/**
+ * Encode the position of a document
+ * @param {Object} doc - Document with createdAt and _id
+ * @returns {string} Base64 cursor
+ */
+const encodeCursor = doc => {
+  return Buffer.from(
+    new Date(doc.createdAt).getTime() + ':' + doc._id.toString()
+  ).toString('base64');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Base64 cursor from a client
+ * @returns {Object} { createdAt: Date, id: string }
+ * @throws {Error} 400 if the cursor is malformed
+ */
+const decodeCursor = cursor => {
+  const parts = Buffer.from(String(cursor), 'base64')
+    .toString('utf8')
+    .split(':');
+  const time = Number(parts[0]);
+  if (parts.length !== 2 || !Number.isFinite(time) || !/^[0-9a-f]{24}$/.test(parts[1])) {
+    const error = new Error('Invalid cursor.');
+    error.code = 400;
+    throw error;
+  }
+  return { createdAt: new Date(time), id: parts[1] };
+};
+
+/**
+ * Encode a position in a ranked list (e.g. search results)
+ * Ranked results have no stable sort key, so the cursor holds the offset
+ * @param {number} offset - Number of results before this position
+ * @returns {string} Base64 cursor
+ */
+const encodeOffsetCursor = offset => {
+  return Buffer.from('offset:' + offset).toString('base64');
+};
+
+/**
+ * Decode a cursor created by encodeOffsetCursor
+ * @param {string} cursor - Base64 cursor from a client
+ * @returns {number} Offset
+ * @throws {Error} 400 if the cursor is malformed
+ */
+const decodeOffsetCursor = cursor => {
+  const match = /^offset:(\d+)$/.exec(
+    Buffer.from(String(cursor), 'base64').toString('utf8')
+  );
+  if (!match) {
+    const error = new Error('Invalid cursor.');
+    error.code = 400;
+    throw error;
+  }
+  return Number(match[1]);
+};
+
+// Export cursor helpers
+exports.encodeCursor = encodeCursor;
+exports.decodeCursor = decodeCursor;
+exports.encodeOffsetCursor = encodeOffsetCursor;
+exports.decodeOffsetCursor = decodeOffsetCursor;
@@ -0,0 +1,15 @@
+/**
+ * Escape user-provided text for use in HTML
+ * @param {string} value - Raw text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = value => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Export HTML helpers
+exports.escapeHtml = escapeHtml;
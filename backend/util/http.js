@@ -0,0 +1,15 @@
+/**
+ * HTTP status to respond with for an error
+ * Services set `code` to an HTTP status, but errors from libraries carry
+ * codes of their own (Mongo's 11000, fs's 'EACCES', ...) that aren't valid
+ * statuses; those are reported as 500.
+ * @param {Error} err - Error thrown while handling a request
+ * @returns {number} Status between 400 and 599
+ */
+const httpStatus = err => {
+  const code = err.code;
+  return Number.isInteger(code) && code >= 400 && code <= 599 ? code : 500;
+};
+
+// Export HTTP helpers
+exports.httpStatus = httpStatus;
@@ -0,0 +1,314 @@
+// Import Node.js core modules
+const path = require('path');
+const crypto = require('crypto');
+
+// Import third-party packages
+const sharp = require('sharp');
+
+// Import application modules
+const config = require('../config');
+const { putFile, getFile, fileExists, deleteFile } = require('../storage');
+
+/**
+ * Uploaded images
+ * Uploads are identified by their content (magic bytes), never by the
+ * client's file name or mime type, and stored under a random name in the
+ * configured storage (see storage/index.js).
+ * Every image is kept as the original plus resized copies next to it, named
+ * after the original: images/photo.jpg -> images/photo-thumbnail.jpg
+ * Variants keep the aspect ratio and the format of the original and are
+ * never larger than it.
+ */
+
+// Accepted image formats: leading bytes (null matches any byte), the
+// extension stored files get, and the format name sharp reports
+const IMAGE_TYPES = [
+  // \x89PNG\r\n\x1a\n
+  {
+    format: 'png',
+    ext: 'png',
+    signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+  },
+  // JPEG start of image marker
+  { format: 'jpeg', ext: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  // GIF87a or GIF89a
+  { format: 'gif', ext: 'gif', signature: [0x47, 0x49, 0x46, 0x38, null, 0x61] },
+  // RIFF....WEBP, bytes 4-7 hold the file size
+  {
+    format: 'webp',
+    ext: 'webp',
+    signature: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]
+  }
+];
+
+// Longest side of each variant in pixels
+const IMAGE_SIZES = {
+  thumbnail: 200,
+  medium: 800
+};
+
+/**
+ * Path of a resized variant of an image
+ * @param {string} imageUrl - Path of the original, e.g. 'images/photo.jpg'
+ * @param {string} size - Key of IMAGE_SIZES
+ * @returns {string} e.g. 'images/photo-thumbnail.jpg'
+ */
+const variantPath = (imageUrl, size) => {
+  const ext = path.extname(imageUrl);
+  return imageUrl.slice(0, imageUrl.length - ext.length) + '-' + size + ext;
+};
+
+// Storage keys saveImage generates: a random name in images/, optionally
+// with the suffix of a variant, e.g. images/3f2a...c9-thumbnail.jpg
+const GENERATED_KEY = new RegExp(
+  '^images/[0-9a-f]{32}(-(' + Object.keys(IMAGE_SIZES).join('|') + '))?' +
+  '\\.(' + IMAGE_TYPES.map(type => type.ext).join('|') + ')$'
+);
+
+/**
+ * Whether a file was stored by saveImage (an original or one of its variants)
+ * Other files in images/ (e.g. uploads from before random names were used,
+ * or anything put there by hand) don't match
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+const isGeneratedImage = key => GENERATED_KEY.test(key);
+
+/**
+ * Whether a post may refer to an image: a file directly in images/
+ * @param {string} imageUrl - Storage key, e.g. 'images/photo.jpg'
+ * @returns {boolean}
+ */
+const isImageKey = imageUrl => {
+  const name = path.posix.basename(imageUrl);
+  return (
+    path.posix.dirname(imageUrl) === 'images' &&
+    name !== '..' &&
+    !name.includes('\\')
+  );
+};
+
+/**
+ * Build the error for a rejected upload
+ * @param {number} code - HTTP status
+ * @param {string} message - Error message
+ * @param {string} detail - What the client should change
+ * @returns {Error}
+ */
+const uploadError = (code, message, detail) => {
+  const error = new Error(message);
+  error.data = [{ message: detail }];
+  error.code = code;
+  return error;
+};
+
+/**
+ * Build the 422 error for a file that isn't a usable image
+ * @returns {Error}
+ */
+const invalidImage = () => {
+  return uploadError(
+    422,
+    'Invalid image.',
+    'The uploaded file could not be read as an image.'
+  );
+};
+
+/**
+ * Build the 413 error for an upload over the configured size limit
+ * @returns {Error}
+ */
+const fileTooLarge = () => {
+  const maxMb = Math.round((config.uploads.maxFileSize / 1024 / 1024) * 10) / 10;
+  return uploadError(413, 'File too large.', 'Images may be at most ' + maxMb + ' MB.');
+};
+
+/**
+ * Width and height of an image as displayed
+ * EXIF orientations 5-8 are rotated by 90 degrees
+ * @param {Object} metadata - Metadata read by sharp
+ * @returns {Object} { width, height }
+ */
+const displaySize = metadata => {
+  const rotated = metadata.orientation >= 5;
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height
+  };
+};
+
+/**
+ * Identify an image format by the leading bytes of a file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} Entry of IMAGE_TYPES, null if not accepted
+ */
+const detectImageType = buffer => {
+  const type = IMAGE_TYPES.find(candidate => {
+    return candidate.signature.every((byte, i) => {
+      return byte === null || buffer[i] === byte;
+    });
+  });
+  return type || null;
+};
+
+/**
+ * Store the resized variants of an image
+ * @param {string} imageUrl - Storage key of the original
+ * @param {Buffer} buffer - Contents of the original
+ * @param {Object} metadata - Metadata of the original read by sharp
+ * @param {boolean} keepExisting - Skip variants that are already stored
+ * @returns {Object} { width, height, thumbnailUrl, mediumUrl }
+ * @throws {Error} 422 if the image can't be resized
+ */
+const storeVariants = async (imageUrl, buffer, metadata, keepExisting) => {
+  const image = displaySize(metadata);
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    const url = variantPath(imageUrl, size);
+    if (!keepExisting || !(await fileExists(url))) {
+      let resized;
+      try {
+        resized = await sharp(buffer)
+          .rotate()
+          .resize(IMAGE_SIZES[size], IMAGE_SIZES[size], {
+            fit: 'inside',
+            withoutEnlargement: true
+          })
+          .toBuffer();
+      } catch (err) {
+        throw invalidImage();
+      }
+      await putFile(url, resized, 'image/' + metadata.format);
+    }
+    image[size + 'Url'] = url;
+  }
+  return image;
+};
+
+/**
+ * Create the missing variants of a stored image and read its dimensions
+ * Safe to call more than once: existing variants are reused, so images
+ * uploaded before variants existed get them the first time they are used.
+ *
+ * @param {string} imageUrl - Storage key of the original, e.g. 'images/photo.jpg'
+ * @returns {Object} { width, height, thumbnailUrl, mediumUrl }
+ * @throws {Error} 422 if the key is outside images/, missing or not an image
+ */
+const processImage = async imageUrl => {
+  if (!isImageKey(imageUrl)) {
+    throw invalidImage();
+  }
+  const buffer = await getFile(imageUrl);
+  if (!buffer) {
+    throw invalidImage();
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw invalidImage();
+  }
+  return storeVariants(imageUrl, buffer, metadata, true);
+};
+
+/**
+ * Delete an image and its variants from storage
+ * Failures are logged, not thrown: a leftover file must not fail the
+ * operation that no longer needs it
+ * @param {string} imageUrl - Storage key of the original
+ * @returns {Promise} Resolves when all deletions finished
+ */
+const clearImage = imageUrl => {
+  const urls = Object.keys(IMAGE_SIZES).map(size => variantPath(imageUrl, size));
+  return Promise.all(
+    urls.concat(imageUrl).map(url => {
+      return deleteFile(url).catch(err => console.log(err));
+    })
+  );
+};
+
+/**
+ * Validate an uploaded file and store it as an image with its variants
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Object} { imageUrl, image } path of the stored original and
+ *                   its dimensions and variants (see processImage)
+ * @throws {Error} 415 for files that aren't PNG, JPEG, WebP or GIF images,
+ *                 422 for unreadable or too large images
+ */
+const saveImage = async buffer => {
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw uploadError(
+      415,
+      'Unsupported file type.',
+      'Only PNG, JPEG, WebP and GIF images are accepted.'
+    );
+  }
+
+  // The content after the magic bytes has to decode as the same format
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw invalidImage();
+  }
+  if (metadata.format !== type.format) {
+    throw invalidImage();
+  }
+
+  const size = displaySize(metadata);
+  const maxWidth = config.uploads.maxImageWidth;
+  const maxHeight = config.uploads.maxImageHeight;
+  if (size.width > maxWidth || size.height > maxHeight) {
+    throw uploadError(
+      422,
+      'Image is too large.',
+      'Images may be at most ' + maxWidth + 'x' + maxHeight + ' pixels.'
+    );
+  }
+
+  // Random names: nothing the client sent ends up in a storage key
+  // (keep in line with GENERATED_KEY)
+  const imageUrl =
+    'images/' + crypto.randomBytes(16).toString('hex') + '.' + type.ext;
+  await putFile(imageUrl, buffer, 'image/' + type.format);
+
+  // Images that only break while resizing (e.g. truncated data) are removed
+  let image;
+  try {
+    image = await storeVariants(imageUrl, buffer, metadata, false);
+  } catch (err) {
+    await clearImage(imageUrl);
+    throw err;
+  }
+  return { imageUrl: imageUrl, image: image };
+};
+
+/**
+ * Store an uploaded image and run an operation that uses it
+ * If the operation fails the stored image is removed again, so the upload
+ * and the operation succeed or fail together
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {Function} use - async (imageUrl) => result
+ * @returns {*} Result of use
+ * @throws {Error} Errors of saveImage and of the operation
+ */
+const withSavedImage = async (buffer, use) => {
+  const stored = await saveImage(buffer);
+  try {
+    return await use(stored.imageUrl);
+  } catch (err) {
+    clearImage(stored.imageUrl);
+    throw err;
+  }
+};
+
+// Export image helpers
+exports.IMAGE_SIZES = IMAGE_SIZES;
+exports.variantPath = variantPath;
+exports.isGeneratedImage = isGeneratedImage;
+exports.fileTooLarge = fileTooLarge;
+exports.processImage = processImage;
+exports.clearImage = clearImage;
+exports.saveImage = saveImage;
+exports.withSavedImage = withSavedImage;
@@ -0,0 +1,6 @@
+/**
+ * Reaction types users can leave on a post
+ * Stored in lowercase on Reaction documents and in Post.reactionCounts;
+ * the ReactionType GraphQL enum uses the uppercase names
+ */
+exports.REACTION_TYPES = ['like', 'love', 'haha', 'wow', 'sad', 'angry'];
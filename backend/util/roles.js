@@ -0,0 +1,21 @@
+/**
+ * User roles, from least to most privileged
+ * Stored in lowercase on User documents and in the JWT `role` claim
+ */
+const ROLES = ['user', 'moderator', 'admin'];
+
+/**
+ * Check whether a role grants at least the required privileges
+ * Roles are hierarchical: admins can do everything moderators can, etc.
+ *
+ * @param {string} role - Role of the current user (defaults to 'user')
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean}
+ */
+const hasRole = (role, requiredRole) => {
+  return ROLES.indexOf(role || 'user') >= ROLES.indexOf(requiredRole);
+};
+
+// Export role helpers
+exports.ROLES = ROLES;
+exports.hasRole = hasRole;
@@ -0,0 +1,99 @@
+/**
+ * Post tags
+ * Tags are stored normalized: lowercase, without the leading '#', made of
+ * letters, digits, '_' and '-'. A post's tags are the explicit tags given by
+ * its author plus the hashtags found in its content.
+ */
+
+// Limits for tags of a single post
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// A normalized tag
+const TAG_PATTERN = /^[a-z0-9_-]+$/;
+
+// A hashtag in text: '#' at the start or after whitespace
+const HASHTAG_PATTERN = /(^|\s)#([A-Za-z0-9_-]+)/g;
+
+/**
+ * Normalize a tag entered by a user
+ * @param {string} tag - e.g. ' #GraphQL '
+ * @returns {string} e.g. 'graphql' (may be invalid, see isValidTag)
+ */
+const normalizeTag = tag => {
+  return String(tag)
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase();
+};
+
+/**
+ * Whether a normalized tag may be stored
+ * @param {string} tag - Normalized tag
+ * @returns {boolean}
+ */
+const isValidTag = tag => {
+  return tag.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(tag);
+};
+
+/**
+ * Find the hashtags in a text
+ * Hashtags longer than MAX_TAG_LENGTH are ignored
+ * @param {string} text - Post content
+ * @returns {Array} Normalized tags in order of appearance, without duplicates
+ */
+const parseHashtags = text => {
+  const tags = [];
+  let match;
+  HASHTAG_PATTERN.lastIndex = 0;
+  while ((match = HASHTAG_PATTERN.exec(text || '')) !== null) {
+    const tag = normalizeTag(match[2]);
+    if (isValidTag(tag) && !tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+};
+
+/**
+ * Combine explicit tags and hashtags into the tags of a post
+ * @param {Array} explicitTags - Tags given by the author (optional)
+ * @param {string} content - Post content
+ * @returns {Array} Normalized tags without duplicates
+ * @throws {Error} 422 if a tag is invalid or there are too many tags
+ */
+const buildTags = (explicitTags, content) => {
+  const errors = [];
+  const tags = [];
+  (explicitTags || []).forEach(rawTag => {
+    const tag = normalizeTag(rawTag);
+    if (!isValidTag(tag)) {
+      errors.push({ message: 'Tag "' + rawTag + '" is invalid.' });
+    } else if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  });
+  parseHashtags(content).forEach(tag => {
+    if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  });
+  if (tags.length > MAX_TAGS) {
+    errors.push({ message: 'A post can have at most ' + MAX_TAGS + ' tags.' });
+  }
+
+  if (errors.length > 0) {
+    const error = new Error('Invalid input.');
+    error.data = errors;
+    error.code = 422;
+    throw error;
+  }
+  return tags;
+};
+
+// Export tag helpers
+exports.MAX_TAGS = MAX_TAGS;
+exports.normalizeTag = normalizeTag;
+exports.isValidTag = isValidTag;
+exports.parseHashtags = parseHashtags;
+exports.buildTags = buildTags;
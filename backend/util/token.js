@@ -0,0 +1,215 @@
+// Import Node.js core modules
+const crypto = require('crypto');
+
+// Import third-party packages
+const jwt = require('jsonwebtoken');
+
+// Import application modules
+const config = require('../config');
+const Session = require('../models/session');
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashToken = token => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a new random opaque token (refresh, password reset, ...)
+ * @returns {string} Opaque token handed to the client
+ */
+const generateToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Compute the expiry date of a refresh token issued now
+ * @returns {Date}
+ */
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Sign a short-lived access token for a user and session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {Object} { token, expiresAt }
+ */
+const signAccessToken = (user, session) => {
+  const token = jwt.sign(
+    {
+      userId: user._id.toString(),
+      email: user.email,
+      role: user.role || 'user',
+      sid: session._id.toString()
+    },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  );
+  const expiresAt = new Date(jwt.decode(token).exp * 1000);
+  return { token: token, expiresAt: expiresAt };
+};
+
+/**
+ * Build the AuthData payload returned to clients
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @param {string} refreshToken - Plain refresh token for this session
+ * @returns {Object} AuthData
+ */
+const buildAuthData = (user, session, refreshToken) => {
+  const accessToken = signAccessToken(user, session);
+  return {
+    token: accessToken.token,
+    userId: user._id.toString(),
+    tokenExpiresAt: accessToken.expiresAt.toISOString(),
+    refreshToken: refreshToken,
+    refreshTokenExpiresAt: session.expiresAt.toISOString()
+  };
+};
+
+/**
+ * Start a new session for a user who just proved their identity
+ * @param {Object} user - Authenticated user document
+ * @returns {Object} AuthData with access and refresh tokens
+ */
+const issueAuthData = async user => {
+  const refreshToken = generateToken();
+  const session = await new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiry()
+  }).save();
+  return buildAuthData(user, session, refreshToken);
+};
+
+/**
+ * End a session whose refresh token was presented a second time
+ * The token may have been stolen, so no party gets to keep the session
+ * @param {Object} session - Session document
+ * @returns {Error} 401 error to throw
+ */
+const revokeReusedSession = async session => {
+  await Session.updateOne({ _id: session._id }, { revokedAt: new Date() });
+  const error = new Error('Refresh token was already used.');
+  error.code = 401;
+  return error;
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * The presented refresh token is rotated out and can't be used again.
+ * Presenting an already rotated token revokes the whole session.
+ * The swap is a single update conditioned on the presented token, so of two
+ * concurrent refreshes with the same token only one succeeds; the other
+ * counts as reuse.
+ *
+ * @param {string} refreshToken - Plain refresh token from the client
+ * @param {Function} loadUser - async (userId) => user document
+ * @returns {Object} AuthData with fresh tokens
+ * @throws {Error} 401 if the token is unknown, expired, revoked or reused
+ */
+const rotateRefreshToken = async (refreshToken, loadUser) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({
+    $or: [{ refreshTokenHash: tokenHash }, { rotatedTokenHashes: tokenHash }]
+  });
+  if (!session || !session.isActive()) {
+    const error = new Error('Invalid refresh token.');
+    error.code = 401;
+    throw error;
+  }
+  if (session.refreshTokenHash !== tokenHash) {
+    // An old token was replayed - assume it was stolen and end the session
+    throw await revokeReusedSession(session);
+  }
+  const user = await loadUser(session.user);
+  if (!user) {
+    const error = new Error('Invalid refresh token.');
+    error.code = 401;
+    throw error;
+  }
+  const nextRefreshToken = generateToken();
+  const rotatedSession = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        expiresAt: refreshTokenExpiry()
+      },
+      $push: { rotatedTokenHashes: tokenHash }
+    },
+    { new: true }
+  );
+  if (!rotatedSession) {
+    // Another request rotated (or revoked) the session in the meantime
+    throw await revokeReusedSession(session);
+  }
+  return buildAuthData(user, rotatedSession, nextRefreshToken);
+};
+
+/**
+ * Revoke sessions so their refresh and access tokens stop working
+ * @param {Object} criteria - { sessionId } | { refreshToken } | { userId }
+ * @returns {number} Number of sessions revoked
+ */
+const revokeSessions = async criteria => {
+  const filter = { revokedAt: null };
+  if (criteria.userId) {
+    filter.user = criteria.userId;
+  } else if (criteria.sessionId) {
+    filter._id = criteria.sessionId;
+  } else if (criteria.refreshToken) {
+    filter.refreshTokenHash = hashToken(criteria.refreshToken);
+  } else {
+    return 0;
+  }
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.nModified || 0;
+};
+
+/**
+ * Check whether a session referenced by an access token is still active
+ * @param {string} sessionId - Session id from the token's `sid` claim
+ * @returns {boolean}
+ */
+const isSessionActive = async sessionId => {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await Session.findById(sessionId);
+  return !!session && session.isActive();
+};
+
+/**
+ * Verify an access token and make sure its session wasn't revoked
+ * Shared by the HTTP auth middleware and the WebSocket subscription server
+ * @param {string} token - JWT access token (without "Bearer ")
+ * @returns {Object|null} Decoded token payload, or null if it isn't valid
+ */
+const verifyAccessToken = async token => {
+  let decodedToken;
+  try {
+    // Throws if the token is malformed, tampered with or expired
+    decodedToken = jwt.verify(token, config.jwt.secret);
+  } catch (err) {
+    return null;
+  }
+  if (!decodedToken || !(await isSessionActive(decodedToken.sid))) {
+    return null;
+  }
+  return decodedToken;
+};
+
+// Export token helpers for resolvers, controllers and middleware
+exports.hashToken = hashToken;
+exports.generateToken = generateToken;
+exports.issueAuthData = issueAuthData;
+exports.rotateRefreshToken = rotateRefreshToken;
+exports.revokeSessions = revokeSessions;
+exports.isSessionActive = isSessionActive;
+exports.verifyAccessToken = verifyAccessToken;
@@ -11,6 +11,8 @@ import FeedPage from './pages/Feed/Feed';
 import SinglePostPage from './pages/Feed/SinglePost/SinglePost';
 import LoginPage from './pages/Auth/Login';
 import SignupPage from './pages/Auth/Signup';
+import VerifyEmailPage from './pages/Auth/VerifyEmail';
+import ResetPasswordPage from './pages/Auth/ResetPassword';
 import './App.css';
 
 class App extends Component {
@@ -25,12 +27,18 @@ class App extends Component {
   };
 
   componentDidMount() {
+    window.addEventListener('storage', this.storageHandler);
     const token = localStorage.getItem('token');
     const expiryDate = localStorage.getItem('expiryDate');
+    const refreshToken = localStorage.getItem('refreshToken');
     if (!token || !expiryDate) {
       return;
     }
     if (new Date(expiryDate) <= new Date()) {
+      if (refreshToken) {
+        this.refreshTokenHandler();
+        return;
+      }
       this.logoutHandler();
       return;
     }
@@ -38,9 +46,41 @@ class App extends Component {
     const remainingMilliseconds =
       new Date(expiryDate).getTime() - new Date().getTime();
     this.setState({ isAuth: true, token: token, userId: userId });
-    this.setAutoLogout(remainingMilliseconds);
+    this.setAutoRefresh(remainingMilliseconds);
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this.refreshTimer);
+    window.removeEventListener('storage', this.storageHandler);
   }
 
+  // All tabs share the tokens in localStorage. Refresh tokens are single use,
+  // so only one tab refreshes; the others pick up the new tokens here (the
+  // refresh token is written last) and follow a logout in another tab
+  storageHandler = event => {
+    if (event.key !== 'refreshToken') {
+      return;
+    }
+    if (!event.newValue) {
+      clearTimeout(this.refreshTimer);
+      this.setState({ isAuth: false, token: null });
+      return;
+    }
+    this.adoptStoredAuth();
+  };
+
+  adoptStoredAuth = () => {
+    const remainingMilliseconds =
+      new Date(localStorage.getItem('expiryDate')).getTime() -
+      new Date().getTime();
+    this.setState({
+      isAuth: true,
+      token: localStorage.getItem('token'),
+      userId: localStorage.getItem('userId')
+    });
+    this.setAutoRefresh(remainingMilliseconds);
+  };
+
   mobileNavHandler = isOpen => {
     this.setState({ showMobileNav: isOpen, showBackdrop: isOpen });
   };
@@ -50,10 +90,145 @@ class App extends Component {
   };
 
   logoutHandler = () => {
+    const graphqlQuery = {
+      query: `
+        mutation EndSession($refreshToken: String) {
+          logout(refreshToken: $refreshToken)
+        }
+      `,
+      variables: {
+        refreshToken: localStorage.getItem('refreshToken')
+      }
+    };
+    // Revoke the session server-side; the local logout doesn't wait for it
+    fetch('http://localhost:8080/graphql', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(graphqlQuery)
+    }).catch(err => {
+      console.log(err);
+    });
+    this.clearAuth();
+  };
+
+  clearAuth = () => {
+    clearTimeout(this.refreshTimer);
     this.setState({ isAuth: false, token: null });
+    localStorage.removeItem('refreshLock');
     localStorage.removeItem('token');
     localStorage.removeItem('expiryDate');
     localStorage.removeItem('userId');
+    localStorage.removeItem('refreshToken');
+  };
+
+  storeAuthData = authData => {
+    localStorage.setItem('token', authData.token);
+    localStorage.setItem('userId', authData.userId);
+    localStorage.setItem('expiryDate', authData.tokenExpiresAt);
+    localStorage.setItem('refreshToken', authData.refreshToken);
+    const remainingMilliseconds =
+      new Date(authData.tokenExpiresAt).getTime() - new Date().getTime();
+    this.setAutoRefresh(remainingMilliseconds);
+  };
+
+  refreshTokenHandler = () => {
+    // Another tab may have refreshed already (e.g. while this one was asleep)
+    const expiryDate = localStorage.getItem('expiryDate');
+    if (
+      expiryDate &&
+      new Date(expiryDate).getTime() - new Date().getTime() > 30 * 1000
+    ) {
+      this.adoptStoredAuth();
+      return;
+    }
+    // Take the refresh lock: every tab writes its own id, waits a moment and
+    // the tab whose id is still there refreshes. The lock expires, so a tab
+    // closed while refreshing doesn't block the others.
+    const lock = JSON.parse(localStorage.getItem('refreshLock') || 'null');
+    if (lock && lock.until > new Date().getTime()) {
+      this.retryRefreshAfter(lock.until - new Date().getTime());
+      return;
+    }
+    const lockId = Math.random()
+      .toString(36)
+      .slice(2);
+    localStorage.setItem(
+      'refreshLock',
+      JSON.stringify({ id: lockId, until: new Date().getTime() + 10 * 1000 })
+    );
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      const current = JSON.parse(localStorage.getItem('refreshLock') || 'null');
+      if (!current || current.id !== lockId) {
+        this.retryRefreshAfter(
+          current ? current.until - new Date().getTime() : 0
+        );
+        return;
+      }
+      this.sendRefresh(lockId);
+    }, 100);
+  };
+
+  retryRefreshAfter = milliseconds => {
+    // Cancelled by storageHandler once the refreshing tab stored new tokens
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(
+      this.refreshTokenHandler,
+      Math.max(milliseconds, 0)
+    );
+  };
+
+  releaseRefreshLock = lockId => {
+    const lock = JSON.parse(localStorage.getItem('refreshLock') || 'null');
+    if (lock && lock.id === lockId) {
+      localStorage.removeItem('refreshLock');
+    }
+  };
+
+  sendRefresh = lockId => {
+    const graphqlQuery = {
+      query: `
+        mutation RefreshSession($refreshToken: String!) {
+          refreshToken(refreshToken: $refreshToken) {
+            token
+            userId
+            tokenExpiresAt
+            refreshToken
+          }
+        }
+      `,
+      variables: {
+        refreshToken: localStorage.getItem('refreshToken')
+      }
+    };
+    fetch('http://localhost:8080/graphql', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(graphqlQuery)
+    })
+      .then(res => {
+        return res.json();
+      })
+      .then(resData => {
+        if (resData.errors) {
+          throw new Error('Your session has expired. Please log in again.');
+        }
+        this.setState({
+          isAuth: true,
+          token: resData.data.refreshToken.token,
+          userId: resData.data.refreshToken.userId
+        });
+        this.storeAuthData(resData.data.refreshToken);
+        this.releaseRefreshLock(lockId);
+      })
+      .catch(err => {
+        console.log(err);
+        this.clearAuth();
+      });
   };
 
   loginHandler = (event, authData) => {
@@ -64,6 +239,8 @@ class App extends Component {
           login(email: $email, password: $password) {
             token
             userId
+            tokenExpiresAt
+            refreshToken
           }
         }
       `,
@@ -89,6 +266,11 @@ class App extends Component {
             "Validation failed. Make sure the email address isn't used yet!"
           );
         }
+        if (resData.errors && resData.errors[0].status === 403) {
+          throw new Error(
+            'Please confirm your email address using the link we sent you.'
+          );
+        }
         if (resData.errors) {
           throw new Error('User login failed!');
         }
@@ -99,14 +281,7 @@ class App extends Component {
           authLoading: false,
           userId: resData.data.login.userId
         });
-        localStorage.setItem('token', resData.data.login.token);
-        localStorage.setItem('userId', resData.data.login.userId);
-        const remainingMilliseconds = 60 * 60 * 1000;
-        const expiryDate = new Date(
-          new Date().getTime() + remainingMilliseconds
-        );
-        localStorage.setItem('expiryDate', expiryDate.toISOString());
-        this.setAutoLogout(remainingMilliseconds);
+        this.storeAuthData(resData.data.login);
       })
       .catch(err => {
         console.log(err);
@@ -126,7 +301,7 @@ class App extends Component {
         mutation CreateNewUser($email: String!, $name: String!, $password: String!) {
           createUser(userInput: {email: $email, name: $name, password: $password}) {
             _id
-            email
+            name
           }
         }
       `,
@@ -169,10 +344,13 @@ class App extends Component {
       });
   };
 
-  setAutoLogout = milliseconds => {
-    setTimeout(() => {
-      this.logoutHandler();
-    }, milliseconds);
+  setAutoRefresh = milliseconds => {
+    // Refresh shortly before the access token expires so requests in
+    // flight (e.g. a post being edited) never see an expired token
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTokenHandler();
+    }, Math.max(milliseconds - 30 * 1000, 0));
   };
 
   errorHandler = () => {
@@ -204,6 +382,8 @@ class App extends Component {
             />
           )}
         />
+        <Route path="/verify-email" exact component={VerifyEmailPage} />
+        <Route path="/reset-password" exact component={ResetPasswordPage} />
         <Redirect to="/" />
       </Switch>
     );
@@ -217,6 +397,7 @@ class App extends Component {
               <FeedPage userId={this.state.userId} token={this.state.token} />
             )}
           />
+          <Route path="/reset-password" exact component={ResetPasswordPage} />
           <Route
             path="/:postId"
             render={props => (
@@ -0,0 +1,134 @@
+import React, { Component } from 'react';
+import { Link } from 'react-router-dom';
+
+import Input from '../../components/Form/Input/Input';
+import Button from '../../components/Button/Button';
+import { required, length } from '../../util/validators';
+import Auth from './Auth';
+
+class ResetPassword extends Component {
+  state = {
+    password: {
+      value: '',
+      valid: false,
+      touched: false,
+      validators: [required, length({ min: 5 })]
+    },
+    loading: false,
+    done: false,
+    message: ''
+  };
+
+  inputChangeHandler = (input, value) => {
+    this.setState(prevState => {
+      let isValid = true;
+      for (const validator of prevState.password.validators) {
+        isValid = isValid && validator(value);
+      }
+      return {
+        password: {
+          ...prevState.password,
+          valid: isValid,
+          value: value
+        }
+      };
+    });
+  };
+
+  inputBlurHandler = () => {
+    this.setState(prevState => {
+      return {
+        password: {
+          ...prevState.password,
+          touched: true
+        }
+      };
+    });
+  };
+
+  resetHandler = event => {
+    event.preventDefault();
+    if (!this.state.password.valid) {
+      this.setState({ message: 'Please enter at least 5 characters.' });
+      return;
+    }
+    this.setState({ loading: true, message: '' });
+    const token = new URLSearchParams(this.props.location.search).get('token');
+    const graphqlQuery = {
+      query: `
+        mutation ResetPassword($token: String!, $newPassword: String!) {
+          resetPassword(token: $token, newPassword: $newPassword)
+        }
+      `,
+      variables: {
+        token: token || '',
+        newPassword: this.state.password.value
+      }
+    };
+    fetch('http://localhost:8080/graphql', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(graphqlQuery)
+    })
+      .then(res => {
+        return res.json();
+      })
+      .then(resData => {
+        if (resData.errors && resData.errors[0].status === 422) {
+          throw new Error('Please enter at least 5 characters.');
+        }
+        if (resData.errors) {
+          throw new Error(
+            'This reset link is invalid or has expired. Please request a new one.'
+          );
+        }
+        this.setState({
+          loading: false,
+          done: true,
+          message: 'Your password was changed.'
+        });
+      })
+      .catch(err => {
+        console.log(err);
+        this.setState({ loading: false, message: err.message });
+      });
+  };
+
+  render() {
+    if (this.state.done) {
+      return (
+        <Auth>
+          <p style={{ textAlign: 'center' }}>
+            {this.state.message} <Link to="/">Log in</Link> with your new
+            password.
+          </p>
+        </Auth>
+      );
+    }
+    return (
+      <Auth>
+        <form onSubmit={this.resetHandler}>
+          <Input
+            id="password"
+            label="New Password"
+            type="password"
+            control="input"
+            onChange={this.inputChangeHandler}
+            onBlur={this.inputBlurHandler}
+            value={this.state.password.value}
+            valid={this.state.password.valid}
+            touched={this.state.password.touched}
+          />
+          {this.state.message && <p>{this.state.message}</p>}
+          <Button design="raised" type="submit" loading={this.state.loading}>
+            Set Password
+          </Button>
+        </form>
+      </Auth>
+    );
+  }
+}
+
+export default ResetPassword;
@@ -0,0 +1,67 @@
+import React, { Component } from 'react';
+
+import Loader from '../../components/Loader/Loader';
+import Auth from './Auth';
+
+class VerifyEmail extends Component {
+  state = {
+    loading: true,
+    message: ''
+  };
+
+  componentDidMount() {
+    const token = new URLSearchParams(this.props.location.search).get('token');
+    const graphqlQuery = {
+      query: `
+        mutation VerifyEmail($token: String!) {
+          verifyEmail(token: $token)
+        }
+      `,
+      variables: {
+        token: token || ''
+      }
+    };
+    fetch('http://localhost:8080/graphql', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(graphqlQuery)
+    })
+      .then(res => {
+        return res.json();
+      })
+      .then(resData => {
+        if (resData.errors) {
+          throw new Error(resData.errors[0].message);
+        }
+        this.setState({
+          loading: false,
+          message: 'Your email address is confirmed. You can log in now.'
+        });
+      })
+      .catch(err => {
+        console.log(err);
+        this.setState({
+          loading: false,
+          message: 'This verification link is invalid or has expired.'
+        });
+      });
+  }
+
+  render() {
+    return (
+      <Auth>
+        {this.state.loading ? (
+          <div style={{ textAlign: 'center' }}>
+            <Loader />
+          </div>
+        ) : (
+          <p style={{ textAlign: 'center' }}>{this.state.message}</p>
+        )}
+      </Auth>
+    );
+  }
+}
+
+export default VerifyEmail;
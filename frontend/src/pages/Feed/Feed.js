@@ -174,25 +174,33 @@ class Feed extends Component {
     this.setState({
       editLoading: true
     });
-    const formData = new FormData();
-    formData.append('image', postData.image);
+    let graphqlQuery = {
+      query: `
+        mutation CreateNewPost($title: String!, $content: String!, $image: Upload) {
+          createPost(postInput: {title: $title, content: $content}, image: $image) {
+            _id
+            title
+            content
+            imageUrl
+            creator {
+              name
+            }
+            createdAt
+          }
+        }
+      `,
+      variables: {
+        title: postData.title,
+        content: postData.content,
+        image: null
+      }
+    };
+
     if (this.state.editPost) {
-      formData.append('oldPath', this.state.editPost.imagePath);
-    }
-    fetch('http://localhost:8080/post-image', {
-      method: 'PUT',
-      headers: {
-        Authorization: 'Bearer ' + this.props.token
-      },
-      body: formData
-    })
-      .then(res => res.json())
-      .then(fileResData => {
-        const imageUrl = fileResData.filePath || 'undefined';
-        let graphqlQuery = {
-          query: `
-          mutation CreateNewPost($title: String!, $content: String!, $imageUrl: String!) {
-            createPost(postInput: {title: $title, content: $content, imageUrl: $imageUrl}) {
+      graphqlQuery = {
+        query: `
+          mutation UpdateExistingPost($postId: ID!, $title: String!, $content: String!, $image: Upload) {
+            updatePost(id: $postId, postInput: {title: $title, content: $content}, image: $image) {
               _id
               title
               content
@@ -204,51 +212,41 @@ class Feed extends Component {
             }
           }
         `,
-          variables: {
-            title: postData.title,
-            content: postData.content,
-            imageUrl: imageUrl
-          }
-        };
-
-        if (this.state.editPost) {
-          graphqlQuery = {
-            query: `
-              mutation UpdateExistingPost($postId: ID!, $title: String!, $content: String!, $imageUrl: String!) {
-                updatePost(id: $postId, postInput: {title: $title, content: $content, imageUrl: $imageUrl}) {
-                  _id
-                  title
-                  content
-                  imageUrl
-                  creator {
-                    name
-                  }
-                  createdAt
-                }
-              }
-            `,
-            variables: {
-              postId: this.state.editPost._id,
-              title: postData.title,
-              content: postData.content,
-              imageUrl: imageUrl
-            }
-          };
+        variables: {
+          postId: this.state.editPost._id,
+          title: postData.title,
+          content: postData.content,
+          image: null
         }
+      };
+    }
 
-        return fetch('http://localhost:8080/graphql', {
-          method: 'POST',
-          body: JSON.stringify(graphqlQuery),
-          headers: {
-            Authorization: 'Bearer ' + this.props.token,
-            'Content-Type': 'application/json'
-          }
-        });
-      })
+    // GraphQL multipart request: the picked file is sent as variables.image
+    // When editing without picking a new file the post keeps its image
+    const formData = new FormData();
+    formData.append('operations', JSON.stringify(graphqlQuery));
+    if (postData.image instanceof File) {
+      formData.append('map', JSON.stringify({ 0: ['variables.image'] }));
+      formData.append('0', postData.image);
+    } else {
+      formData.append('map', JSON.stringify({}));
+    }
+
+    fetch('http://localhost:8080/graphql', {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer ' + this.props.token
+      },
+      body: formData
+    })
       .then(res => {
         return res.json();
       })
       .then(resData => {
+        // Rejected images explain what was wrong with the file
+        if (resData.errors && [413, 415].includes(resData.errors[0].status)) {
+          throw new Error(resData.errors[0].data[0].message);
+        }
         if (resData.errors && resData.errors[0].status === 422) {
           throw new Error(
             "Validation failed. Make sure the email address isn't used yet!"
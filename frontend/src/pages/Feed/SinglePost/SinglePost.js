@@ -19,7 +19,9 @@ class SinglePost extends Component {
           post(id: $postId) {
             title
             content
-            imageUrl
+            image {
+              url(size: MEDIUM)
+            }
             creator {
               name
             }
@@ -49,7 +51,10 @@ class SinglePost extends Component {
         this.setState({
           title: resData.data.post.title,
           author: resData.data.post.creator.name,
-          image: 'http://localhost:8080/' + resData.data.post.imageUrl,
+          // Images in cloud storage come with an absolute URL
+          image: /^https?:\/\//.test(resData.data.post.image.url)
+            ? resData.data.post.image.url
+            : 'http://localhost:8080/' + resData.data.post.image.url,
           date: new Date(resData.data.post.createdAt).toLocaleDateString('en-US'),
           content: resData.data.post.content
         });